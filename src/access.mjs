@@ -0,0 +1,160 @@
+/**
+ * @typedef {Object} EndpointFilterConfig
+ * @property {string[]} [allowServices] Service ids that may be exposed (empty = all).
+ * @property {string[]} [denyServices] Service ids that are never exposed.
+ * @property {string[]} [allowMethods] HTTP methods that may be called (empty = all).
+ * @property {string[]} [denyMethods] HTTP methods that are never called.
+ * @property {string[]} [allowPaths] Path globs that may be called (empty = all).
+ * @property {string[]} [denyPaths] Path globs that are never called.
+ */
+
+/**
+ * @typedef {Object} EndpointRef
+ * @property {string | null} serviceId
+ * @property {string} method
+ * @property {string} path Concrete path or a `:param` template.
+ * @property {string} [template] Matching `:param` template for a concrete path, if known.
+ */
+
+const FILTER_ENV = {
+  allowServices: "OTTOAUTH_ALLOW_SERVICES",
+  denyServices: "OTTOAUTH_DENY_SERVICES",
+  allowMethods: "OTTOAUTH_ALLOW_METHODS",
+  denyMethods: "OTTOAUTH_DENY_METHODS",
+  allowPaths: "OTTOAUTH_ALLOW_PATHS",
+  denyPaths: "OTTOAUTH_DENY_PATHS",
+};
+
+/**
+ * Merges explicit options over comma-separated `OTTOAUTH_ALLOW_*`/`OTTOAUTH_DENY_*` env vars.
+ * @param {EndpointFilterConfig} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Required<EndpointFilterConfig>}
+ */
+export function resolveEndpointFilterConfig(options = {}, env = process.env) {
+  /** @type {any} */
+  const out = {};
+  for (const [key, envName] of Object.entries(FILTER_ENV)) {
+    const value = options[key] ?? parseList(env[envName]);
+    out[key] = key.endsWith("Methods")
+      ? value.map((m) => String(m).toUpperCase())
+      : key.endsWith("Services")
+        ? value.map((id) => String(id).trim().toLowerCase())
+        : value.map(String);
+  }
+  return out;
+}
+
+/**
+ * @param {EndpointFilterConfig} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function createEndpointFilter(options, env) {
+  const config = resolveEndpointFilterConfig(options, env);
+  const allowPaths = config.allowPaths.map(globToRegExp);
+  const denyPaths = config.denyPaths.map(globToRegExp);
+
+  /**
+   * @param {EndpointRef} endpoint
+   * @returns {{ allowed: true } | { allowed: false; reason: string }}
+   */
+  function check(endpoint) {
+    const method = endpoint.method.toUpperCase();
+    const paths = [endpoint.path, endpoint.template].filter(Boolean);
+    const serviceId = endpoint.serviceId;
+
+    if (serviceId && config.denyServices.includes(serviceId)) {
+      return { allowed: false, reason: `service '${serviceId}' is denied` };
+    }
+    if (config.allowServices.length > 0 && !(serviceId && config.allowServices.includes(serviceId))) {
+      return { allowed: false, reason: `service '${serviceId ?? "unknown"}' is not allowed` };
+    }
+    if (config.denyMethods.includes(method)) {
+      return { allowed: false, reason: `method ${method} is denied` };
+    }
+    if (config.allowMethods.length > 0 && !config.allowMethods.includes(method)) {
+      return { allowed: false, reason: `method ${method} is not allowed` };
+    }
+    const denied = config.denyPaths.find((_, i) => paths.some((p) => denyPaths[i].test(p)));
+    if (denied) {
+      return { allowed: false, reason: `path matches denied pattern '${denied}'` };
+    }
+    if (allowPaths.length > 0 && !allowPaths.some((re) => paths.some((p) => re.test(p)))) {
+      return { allowed: false, reason: "path does not match any allowed pattern" };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Service-level rules only, for things that are not a single endpoint (docs, prompts).
+   * @param {string} serviceId
+   */
+  function isServiceAllowed(serviceId) {
+    if (config.denyServices.includes(serviceId)) return false;
+    return config.allowServices.length === 0 || config.allowServices.includes(serviceId);
+  }
+
+  return { config, check, isServiceAllowed };
+}
+
+/**
+ * Converts a path glob to a RegExp: `*` matches within one segment, `**` across segments.
+ * @param {string} glob
+ */
+export function globToRegExp(glob) {
+  let out = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      out += ".*";
+      i += 1;
+    } else if (char === "*") {
+      out += "[^/]*";
+    } else {
+      out += char.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${out}/?$`);
+}
+
+/**
+ * @param {string} glob
+ * @param {string} path
+ */
+export function matchesPathGlob(glob, path) {
+  return globToRegExp(glob).test(path);
+}
+
+/**
+ * Checks whether a concrete path fills in a `:param` path template.
+ * @param {string} template
+ * @param {string} path
+ */
+export function matchesPathTemplate(template, path) {
+  const pattern = template
+    .split("/")
+    .map((segment) =>
+      segment.startsWith(":") ? "[^/]+" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    )
+    .join("/");
+  return new RegExp(`^${pattern}/?$`).test(path);
+}
+
+/**
+ * Best-effort service id for a raw path: `/api/services/<id>/...` or `/api/<id>/...`.
+ * @param {string} path
+ */
+export function serviceIdFromPath(path) {
+  const segments = path.split("/").filter(Boolean);
+  if (segments[0] !== "api") return null;
+  const candidate = segments[1] === "services" ? segments[2] : segments[1];
+  return candidate ? candidate.toLowerCase() : null;
+}
+
+/** @param {string | undefined} raw */
+export function parseList(raw) {
+  return String(raw ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,121 @@
+import { globToRegExp } from "./access.mjs";
+
+/**
+ * @typedef {Object} ToolAnnotationHints
+ * @property {boolean} [readOnlyHint]
+ * @property {boolean} [destructiveHint]
+ * @property {boolean} [idempotentHint]
+ * @property {boolean} [openWorldHint]
+ */
+
+/**
+ * @typedef {Object} AnnotationRule
+ * @property {string} path Path glob (`*` = one segment, `**` = any), matched against the `:param` template.
+ * @property {string[]} [methods] Restrict the rule to these HTTP methods.
+ * @property {ToolAnnotationHints} annotations Hints that replace the method defaults.
+ */
+
+/** @type {Record<string, Required<ToolAnnotationHints>>} */
+export const METHOD_ANNOTATIONS = {
+  GET: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+  POST: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+  PUT: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
+  PATCH: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
+  DELETE: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
+};
+
+/** The passthrough tool can call anything, so it assumes the worst. */
+export const PASSTHROUGH_ANNOTATIONS = {
+  readOnlyHint: false,
+  destructiveHint: true,
+  idempotentHint: false,
+  openWorldHint: true,
+};
+
+/** Last path segments of endpoints that spend money. */
+export const SPENDING_SEGMENTS = ["buy", "purchase", "checkout", "order", "orders", "pay", "payment", "payments", "charge"];
+
+/**
+ * Purchase-like endpoints spend money, so they are flagged destructive
+ * unless a configured rule says otherwise.
+ * @type {AnnotationRule[]}
+ */
+export const DEFAULT_ANNOTATION_RULES = SPENDING_SEGMENTS.map((segment) => ({
+  path: `**/${segment}`,
+  methods: ["POST", "PUT", "PATCH"],
+  annotations: { destructiveHint: true },
+}));
+
+/**
+ * Reads rules from `options` or the `OTTOAUTH_TOOL_ANNOTATIONS` JSON array.
+ * @param {AnnotationRule[]} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {AnnotationRule[]}
+ */
+export function resolveAnnotationRules(options, env = process.env) {
+  let rules = options;
+  if (!rules && env.OTTOAUTH_TOOL_ANNOTATIONS) {
+    try {
+      rules = JSON.parse(env.OTTOAUTH_TOOL_ANNOTATIONS);
+    } catch {
+      throw new Error("OTTOAUTH_TOOL_ANNOTATIONS must be a JSON array of annotation rules.");
+    }
+  }
+  if (!rules) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error("Tool annotation rules must be an array.");
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.path !== "string" || !rule.annotations || typeof rule.annotations !== "object") {
+      throw new Error(`Tool annotation rule #${index} needs a 'path' glob and an 'annotations' object.`);
+    }
+    return {
+      path: rule.path,
+      methods: Array.isArray(rule.methods) ? rule.methods.map((m) => String(m).toUpperCase()) : undefined,
+      annotations: pickHints(rule.annotations),
+    };
+  });
+}
+
+/**
+ * Built-in spending rules are applied first, then configured rules in order,
+ * so later rules win.
+ * @param {AnnotationRule[]} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function createAnnotationResolver(options, env) {
+  const rules = [...DEFAULT_ANNOTATION_RULES, ...resolveAnnotationRules(options, env)].map(
+    (rule) => ({ ...rule, pattern: globToRegExp(rule.path) }),
+  );
+
+  /**
+   * @param {{ method: string; path: string; description?: string }} endpoint
+   * @returns {Required<ToolAnnotationHints>}
+   */
+  function annotationsFor(endpoint) {
+    const method = endpoint.method.toUpperCase();
+    const hints = { ...(METHOD_ANNOTATIONS[method] ?? PASSTHROUGH_ANNOTATIONS) };
+    // Docs that mention a price mean calling the endpoint costs money.
+    if (method !== "GET" && /^Cost: /m.test(endpoint.description ?? "")) {
+      hints.destructiveHint = true;
+    }
+    for (const rule of rules) {
+      if (rule.methods && !rule.methods.includes(method)) continue;
+      if (!rule.pattern.test(endpoint.path)) continue;
+      Object.assign(hints, rule.annotations);
+    }
+    return hints;
+  }
+
+  return { rules, annotationsFor };
+}
+
+/** @param {Record<string, unknown>} raw */
+function pickHints(raw) {
+  /** @type {ToolAnnotationHints} */
+  const out = {};
+  for (const key of ["readOnlyHint", "destructiveHint", "idempotentHint", "openWorldHint"]) {
+    if (typeof raw[key] === "boolean") out[key] = raw[key];
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+import { globToRegExp } from "./access.mjs";
+
+/**
+ * @typedef {Object} ApprovalRule
+ * @property {string} path Path glob (`*` = one segment, `**` = any), matched against the concrete path and its `:param` template.
+ * @property {string[]} [methods] Restrict the rule to these HTTP methods.
+ * @property {boolean} [approve] Whether matching calls need approval (default `true`); `false` exempts them.
+ */
+
+/**
+ * @typedef {Object} RequestPreview
+ * @property {string} method
+ * @property {string} url
+ * @property {Record<string, string>} [query]
+ * @property {Record<string, string>} [headers] Secret-looking headers redacted.
+ * @property {unknown} body Body as it will be sent, with secrets masked; undefined for GET.
+ */
+
+/**
+ * Reads rules from `options` or the `OTTOAUTH_APPROVAL_RULES` JSON array.
+ * @param {ApprovalRule[]} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Array<ApprovalRule & { approve: boolean }>}
+ */
+export function resolveApprovalRules(options, env = process.env) {
+  let rules = options;
+  if (!rules && env.OTTOAUTH_APPROVAL_RULES) {
+    try {
+      rules = JSON.parse(env.OTTOAUTH_APPROVAL_RULES);
+    } catch {
+      throw new Error("OTTOAUTH_APPROVAL_RULES must be a JSON array of approval rules.");
+    }
+  }
+  if (!rules) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error("Approval rules must be an array.");
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.path !== "string") {
+      throw new Error(`Approval rule #${index} needs a 'path' glob.`);
+    }
+    return {
+      path: rule.path,
+      methods: Array.isArray(rule.methods) ? rule.methods.map((m) => String(m).toUpperCase()) : undefined,
+      approve: rule.approve !== false,
+    };
+  });
+}
+
+/**
+ * Decides which calls must be confirmed by the user first. Rules apply in
+ * order and later rules win; with no matching rule a call goes straight through.
+ * @param {ApprovalRule[]} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function createApprovalPolicy(options, env) {
+  const rules = resolveApprovalRules(options, env).map((rule) => ({
+    ...rule,
+    pattern: globToRegExp(rule.path),
+  }));
+
+  /**
+   * @param {{ method: string; path: string; template?: string }} endpoint
+   */
+  function requiresApproval(endpoint) {
+    const method = endpoint.method.toUpperCase();
+    const paths = [endpoint.path, endpoint.template].filter(Boolean);
+    let required = false;
+    for (const rule of rules) {
+      if (rule.methods && !rule.methods.includes(method)) continue;
+      if (!paths.some((p) => rule.pattern.test(/** @type {string} */ (p)))) continue;
+      required = rule.approve;
+    }
+    return required;
+  }
+
+  return { rules, requiresApproval };
+}
+
+/**
+ * Form elicitation asking the user to confirm one request.
+ * @param {RequestPreview} preview
+ */
+export function buildApprovalElicitation(preview) {
+  const lines = [
+    "Approve this Ottoauth request?",
+    "",
+    `${preview.method} ${preview.url}`,
+  ];
+  if (preview.body !== undefined) {
+    lines.push("", "Body:", JSON.stringify(preview.body, null, 2));
+  }
+  return {
+    message: lines.join("\n"),
+    requestedSchema: {
+      type: /** @type {const} */ ("object"),
+      properties: {
+        approve: {
+          type: /** @type {const} */ ("boolean"),
+          title: "Approve",
+          description: "Send this request to Ottoauth.",
+          default: false,
+        },
+      },
+      required: ["approve"],
+    },
+  };
+}
@@ -0,0 +1,279 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseList } from "./access.mjs";
+
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+export const DEFAULT_AUDIT_QUERY_LIMIT = 50;
+
+/** Header names that look secret; their values are never written or shown. */
+export const SECRET_HEADER_PATTERN = /auth|token|secret|password|cookie|api[-_]?key|private/i;
+
+/** Body fields (at any depth) and query parameters whose values are never written. */
+export const DEFAULT_REDACT_FIELDS = [
+  "private_key",
+  "privateKey",
+  "password",
+  "secret",
+  "token",
+  "card_number",
+  "cardNumber",
+  "cvv",
+  "cvc",
+];
+
+const REDACTED = "[redacted]";
+// 13-19 digits, optionally grouped by spaces or dashes: the shape of a payment card number.
+const CARD_NUMBER = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+/**
+ * Redacts headers whose names match `SECRET_HEADER_PATTERN` or one of
+ * `extraNames` (case-insensitive). Audit entries and request previews share it.
+ * @param {string[]} [extraNames]
+ */
+export function createHeaderRedactor(extraNames = []) {
+  const extra = new Set(extraNames.map((name) => name.toLowerCase()));
+  /**
+   * @param {Record<string, string>} headers
+   * @returns {Record<string, string>}
+   */
+  return function redact(headers) {
+    return Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name,
+        SECRET_HEADER_PATTERN.test(name) || extra.has(name.toLowerCase()) ? REDACTED : value,
+      ]),
+    );
+  };
+}
+
+/** Header redaction with no configured extras. */
+export const redactHeaders = createHeaderRedactor();
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} ts ISO timestamp of when the call finished.
+ * @property {string} tool
+ * @property {string} profile
+ * @property {string} method
+ * @property {string} url
+ * @property {number | null} status Null when no response arrived.
+ * @property {boolean} ok
+ * @property {number} durationMs
+ * @property {number} requestBytes
+ * @property {number | null} responseBytes
+ * @property {number} attempts
+ * @property {string | null} idempotencyKey
+ * @property {string | null} error
+ * @property {Record<string, string>} requestHeaders Redacted.
+ * @property {unknown} requestBody Redacted.
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [tool]
+ * @property {number | '2xx' | '3xx' | '4xx' | '5xx' | 'error'} [status] `error` matches calls that got no response.
+ * @property {Date} [since]
+ * @property {Date} [until]
+ * @property {number} [limit]
+ */
+
+/**
+ * Resolves audit settings. The audit log is opt-in: without a `path` (or
+ * `OTTOAUTH_AUDIT_LOG_PATH`) nothing is written. Configured
+ * header names add to `SECRET_HEADER_PATTERN`, configured fields to the defaults.
+ * @param {{
+ * path?: string;
+ * maxBytes?: number;
+ * maxFiles?: number;
+ * redactHeaders?: string[];
+ * redactFields?: string[];
+ * }} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function resolveAuditConfig(options = {}, env = process.env) {
+  return {
+    path: options.path ?? env.OTTOAUTH_AUDIT_LOG_PATH ?? "",
+    maxBytes: Number(options.maxBytes ?? env.OTTOAUTH_AUDIT_MAX_BYTES ?? DEFAULT_AUDIT_MAX_BYTES),
+    maxFiles: Math.max(1, Number(options.maxFiles ?? env.OTTOAUTH_AUDIT_MAX_FILES ?? DEFAULT_AUDIT_MAX_FILES)),
+    redactHeaders: (options.redactHeaders ?? parseList(env.OTTOAUTH_AUDIT_REDACT_HEADERS)).map((name) =>
+      name.toLowerCase(),
+    ),
+    redactFields: [...DEFAULT_REDACT_FIELDS, ...(options.redactFields ?? parseList(env.OTTOAUTH_AUDIT_REDACT_FIELDS))],
+  };
+}
+
+/**
+ * Append-only JSONL log of proxied requests. The file is rotated to
+ * `<path>.1` ... `<path>.<maxFiles - 1>` once it reaches `maxBytes`.
+ * @param {ReturnType<typeof resolveAuditConfig> & { logger?: Pick<Console, 'error'> }} config
+ */
+export function createAuditLog(config) {
+  const logger = config.logger ?? console;
+  const redactHeaders = createHeaderRedactor(config.redactHeaders);
+  const redactedFields = new Set(config.redactFields);
+  /** @type {number | null} */
+  let size = null;
+  let writeQueue = Promise.resolve();
+
+  /**
+   * @param {unknown} value
+   * @returns {unknown}
+   */
+  function redactBody(value) {
+    if (typeof value === "string") return maskCardNumbers(value);
+    if (typeof value === "number" && Number.isSafeInteger(value)) {
+      const masked = maskCardNumbers(String(value));
+      return masked === String(value) ? value : masked;
+    }
+    if (Array.isArray(value)) return value.map(redactBody);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, redactedFields.has(key) ? REDACTED : redactBody(child)]),
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Redacts query parameters named like redacted body fields and masks card
+   * numbers in the rest.
+   * @param {string} url
+   */
+  function redactUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return maskCardNumbers(url);
+    }
+    if (!parsed.search) return url;
+    const query = [...parsed.searchParams]
+      .map(([name, value]) => {
+        const shown = redactedFields.has(name) ? REDACTED : encodeURIComponent(maskCardNumbers(value));
+        return `${encodeURIComponent(name)}=${shown}`;
+      })
+      .join("&");
+    parsed.search = "";
+    return `${parsed.toString()}?${query}`;
+  }
+
+  async function rotate() {
+    for (let index = config.maxFiles - 1; index >= 1; index -= 1) {
+      const from = index === 1 ? config.path : `${config.path}.${index - 1}`;
+      await fs.rename(from, `${config.path}.${index}`).catch(() => undefined);
+    }
+    if (config.maxFiles === 1) {
+      await fs.rm(config.path, { force: true });
+    }
+    size = 0;
+  }
+
+  /**
+   * Redacts and appends one entry. Failures are logged, never thrown: auditing
+   * must not break the call it records.
+   * @param {Omit<AuditEntry, 'ts'> & { ts?: string }} entry
+   */
+  function record(entry) {
+    const { ts, ...rest } = entry;
+    const line =
+      JSON.stringify({
+        ts: ts ?? new Date().toISOString(),
+        ...rest,
+        url: redactUrl(entry.url),
+        requestHeaders: redactHeaders(entry.requestHeaders),
+        requestBody: redactBody(entry.requestBody),
+      }) + "\n";
+    writeQueue = writeQueue
+      .then(async () => {
+        if (size === null) {
+          await fs.mkdir(path.dirname(config.path), { recursive: true });
+          size = await fs.stat(config.path).then((stat) => stat.size, () => 0);
+        }
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > config.maxBytes) {
+          await rotate();
+        }
+        await fs.appendFile(config.path, line, "utf8");
+        size += bytes;
+      })
+      .catch((error) => {
+        size = null;
+        logger.error(`[ottoauth-mcp] failed to write audit log ${config.path}:`, error);
+      });
+    return writeQueue;
+  }
+
+  /**
+   * Newest matching entries first, across the current and rotated files.
+   * @param {AuditQuery} [query]
+   * @returns {Promise<AuditEntry[]>}
+   */
+  async function search(query = {}) {
+    await writeQueue;
+    const limit = query.limit ?? DEFAULT_AUDIT_QUERY_LIMIT;
+    /** @type {AuditEntry[]} */
+    const found = [];
+    for (let index = 0; index < config.maxFiles && found.length < limit; index += 1) {
+      const file = index === 0 ? config.path : `${config.path}.${index}`;
+      const raw = await fs.readFile(file, "utf8").catch(() => null);
+      if (raw === null) continue;
+      const lines = raw.split("\n");
+      for (let i = lines.length - 1; i >= 0 && found.length < limit; i -= 1) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (matches(entry, query)) found.push(entry);
+      }
+    }
+    return found;
+  }
+
+  return { path: config.path, record, search, redactHeaders, redactBody, redactUrl };
+}
+
+/**
+ * @param {AuditEntry} entry
+ * @param {AuditQuery} query
+ */
+function matches(entry, query) {
+  if (query.tool && entry.tool !== query.tool) return false;
+  const ts = Date.parse(entry.ts);
+  if (query.since && ts < query.since.getTime()) return false;
+  if (query.until && ts > query.until.getTime()) return false;
+  if (query.status === undefined) return true;
+  if (query.status === "error") return entry.status === null;
+  if (typeof query.status === "number") return entry.status === query.status;
+  return entry.status !== null && String(entry.status)[0] === query.status[0];
+}
+
+/**
+ * Keeps only the last four digits of anything shaped like a card number that
+ * passes the Luhn check, so timestamps and order ids are left alone.
+ * @param {string} text
+ */
+export function maskCardNumbers(text) {
+  return text.replace(CARD_NUMBER, (match) => {
+    const digits = match.replace(/\D/g, "");
+    if (!passesLuhn(digits)) return match;
+    return `${"*".repeat(digits.length - 4)}${digits.slice(-4)}`;
+  });
+}
+
+/** @param {string} digits */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,327 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { globToRegExp } from "./access.mjs";
+import { SPENDING_SEGMENTS } from "./annotations.mjs";
+
+const STORE_VERSION = 1;
+const KEEP_DAYS = 31;
+
+/** Fields checked, in order, when a rule does not name one. */
+export const DEFAULT_AMOUNT_FIELDS = ["amount", "total", "price", "max_price", "max_amount", "cost"];
+
+/**
+ * @typedef {Object} BudgetLimits
+ * @property {number} [dailyLimit] Maximum spend per UTC day.
+ * @property {number} [sessionLimit] Maximum spend while this server process runs.
+ */
+
+/**
+ * @typedef {Object} BudgetEndpointRule
+ * @property {string} path Path glob matched against the concrete path and its `:param` template.
+ * @property {string[]} [methods]
+ * @property {string} [amountField] Dot path of the amount in the request body.
+ * @property {string} [responseAmountField] Dot path of the amount actually charged in the response body.
+ */
+
+/**
+ * @typedef {BudgetLimits & {
+ * currency?: string;
+ * profiles?: Record<string, BudgetLimits>;
+ * endpoints?: BudgetEndpointRule[];
+ * }} BudgetConfig
+ */
+
+/**
+ * Purchase-like endpoints count against the budget unless `endpoints` says otherwise.
+ * @type {BudgetEndpointRule[]}
+ */
+export const DEFAULT_BUDGET_ENDPOINTS = SPENDING_SEGMENTS.map((segment) => ({
+  path: `**/${segment}`,
+  methods: ["POST", "PUT", "PATCH"],
+}));
+
+/**
+ * Reads the budget from `options` or the `OTTOAUTH_BUDGET` JSON object.
+ * @param {BudgetConfig} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {BudgetConfig | null} null when no budget is configured
+ */
+export function resolveBudgetConfig(options, env = process.env) {
+  let config = options;
+  if (!config && env.OTTOAUTH_BUDGET) {
+    try {
+      config = JSON.parse(env.OTTOAUTH_BUDGET);
+    } catch {
+      throw new Error("OTTOAUTH_BUDGET must be a JSON object.");
+    }
+  }
+  if (!config) return null;
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Budget config must be an object.");
+  }
+  for (const [where, limits] of [["budget", config], ...Object.entries(config.profiles ?? {})]) {
+    for (const key of ["dailyLimit", "sessionLimit"]) {
+      const value = limits?.[key];
+      if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+        throw new Error(`${key} for '${where}' must be a non-negative number.`);
+      }
+    }
+  }
+  if (config.endpoints !== undefined && !Array.isArray(config.endpoints)) {
+    throw new Error("Budget endpoints must be an array of rules.");
+  }
+  (config.endpoints ?? []).forEach((rule, index) => {
+    if (!rule || typeof rule.path !== "string") {
+      throw new Error(`Budget endpoint rule #${index} needs a 'path' glob.`);
+    }
+  });
+  return config;
+}
+
+/**
+ * Reads a money amount: a number or a string like `"$1,299.00"`.
+ * @param {unknown} value
+ * @param {string[]} fields Dot paths tried in order.
+ * @returns {number | null}
+ */
+export function extractAmount(value, fields) {
+  for (const field of fields) {
+    let current = value;
+    for (const key of field.split(".")) {
+      current = current && typeof current === "object" ? /** @type {any} */ (current)[key] : undefined;
+    }
+    const amount =
+      typeof current === "number"
+        ? current
+        : typeof current === "string" && /\d/.test(current)
+          ? Number(current.replace(/[^0-9.-]/g, ""))
+          : NaN;
+    if (Number.isFinite(amount) && amount >= 0) return amount;
+  }
+  return null;
+}
+
+/**
+ * Tracks spend per profile, per UTC day (persisted) and per session (in
+ * memory). Calls are reserved before they are sent, so concurrent purchases
+ * cannot overshoot together, and settled with the charged amount afterwards.
+ * @param {{
+ * config: BudgetConfig;
+ * storePath: string;
+ * logger?: Pick<Console, 'error'>;
+ * now?: () => Date;
+ * }} options
+ */
+export function createBudget(options) {
+  const { config, storePath } = options;
+  const logger = options.logger ?? console;
+  const now = options.now ?? (() => new Date());
+  const rules = (config.endpoints ?? DEFAULT_BUDGET_ENDPOINTS).map((rule) => ({
+    ...rule,
+    methods: rule.methods?.map((m) => String(m).toUpperCase()),
+    pattern: globToRegExp(rule.path),
+  }));
+
+  /** @type {Record<string, Record<string, number>>} profile -> UTC day -> spent */
+  let daily = {};
+  /** @type {Map<string, number>} */
+  const session = new Map();
+  /** @type {Map<string, number>} amounts reserved by calls still in flight */
+  const pending = new Map();
+  /** @type {Promise<void> | null} */
+  let loadPromise = null;
+  let persistQueue = Promise.resolve();
+
+  function ensureLoaded() {
+    loadPromise ??= load();
+    return loadPromise;
+  }
+
+  async function load() {
+    const raw = await fs.readFile(storePath, "utf8").catch(() => "");
+    if (!raw) return;
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed?.version === STORE_VERSION && parsed.daily && typeof parsed.daily === "object") {
+        daily = parsed.daily;
+      }
+    } catch (error) {
+      logger.error(`[ottoauth-mcp] failed to read budget store ${storePath}:`, error);
+    }
+  }
+
+  async function persist() {
+    const cutoff = dayOf(new Date(now().getTime() - KEEP_DAYS * 86_400_000));
+    for (const days of Object.values(daily)) {
+      for (const day of Object.keys(days)) {
+        if (day < cutoff) delete days[day];
+      }
+    }
+    const text = JSON.stringify({ version: STORE_VERSION, daily }, null, 2) + "\n";
+    persistQueue = persistQueue
+      .catch(() => undefined)
+      .then(async () => {
+        await fs.mkdir(path.dirname(storePath), { recursive: true });
+        await fs.writeFile(storePath, text, "utf8");
+      });
+    await persistQueue;
+  }
+
+  /** @param {string} profile */
+  function limitsFor(profile) {
+    const override = config.profiles?.[profile] ?? {};
+    return {
+      dailyLimit: override.dailyLimit ?? config.dailyLimit ?? null,
+      sessionLimit: override.sessionLimit ?? config.sessionLimit ?? null,
+    };
+  }
+
+  /**
+   * @param {{ method: string; path: string; template?: string }} endpoint
+   */
+  function ruleFor(endpoint) {
+    const method = endpoint.method.toUpperCase();
+    const paths = [endpoint.path, endpoint.template].filter(Boolean);
+    return rules.find(
+      (rule) =>
+        (!rule.methods || rule.methods.includes(method)) &&
+        paths.some((p) => rule.pattern.test(/** @type {string} */ (p))),
+    );
+  }
+
+  /** @param {string} profile */
+  function usage(profile) {
+    const limits = limitsFor(profile);
+    const day = dayOf(now());
+    const spentToday = daily[profile]?.[day] ?? 0;
+    const spentThisSession = session.get(profile) ?? 0;
+    const reserved = pending.get(profile) ?? 0;
+    return {
+      profile,
+      day,
+      currency: config.currency ?? null,
+      spentToday,
+      dailyLimit: limits.dailyLimit,
+      remainingToday: limits.dailyLimit === null ? null : Math.max(0, limits.dailyLimit - spentToday - reserved),
+      spentThisSession,
+      sessionLimit: limits.sessionLimit,
+      remainingThisSession:
+        limits.sessionLimit === null ? null : Math.max(0, limits.sessionLimit - spentThisSession - reserved),
+      pending: reserved,
+    };
+  }
+
+  /**
+   * Checks a call against the budget and, when it may proceed, holds its amount.
+   * A call whose amount cannot be read from the body is allowed while some
+   * allowance remains and counted once the response says what it cost.
+   * @param {{ profile: string; method: string; path: string; template?: string; body?: unknown }} call
+   */
+  async function reserve(call) {
+    const rule = ruleFor(call);
+    if (!rule) return { allowed: /** @type {const} */ (true), charge: null };
+    await ensureLoaded();
+
+    const amount = extractAmount(call.body, rule.amountField ? [rule.amountField] : DEFAULT_AMOUNT_FIELDS);
+    const current = usage(call.profile);
+    for (const [limit, remaining] of /** @type {const} */ ([
+      ["daily", current.remainingToday],
+      ["session", current.remainingThisSession],
+    ])) {
+      if (remaining === null) continue;
+      if (amount === null ? remaining <= 0 : amount > remaining) {
+        return {
+          allowed: /** @type {const} */ (false),
+          error: {
+            error: "budget_exceeded",
+            limit,
+            profile: call.profile,
+            amount,
+            remaining,
+            currency: current.currency,
+          },
+        };
+      }
+    }
+
+    const held = amount ?? 0;
+    pending.set(call.profile, (pending.get(call.profile) ?? 0) + held);
+    let open = true;
+    const release = () => {
+      if (!open) return;
+      open = false;
+      pending.set(call.profile, (pending.get(call.profile) ?? 0) - held);
+    };
+
+    /**
+     * @param {number | null} charged
+     * @returns {Promise<number | null>}
+     */
+    async function record(charged) {
+      if (charged === null) {
+        logger.error(
+          `[ottoauth-mcp] could not tell what ${call.method} ${call.path} cost; not counted against the budget`,
+        );
+        return null;
+      }
+      const day = dayOf(now());
+      daily[call.profile] = { ...daily[call.profile], [day]: (daily[call.profile]?.[day] ?? 0) + charged };
+      session.set(call.profile, (session.get(call.profile) ?? 0) + charged);
+      await persist().catch((error) => {
+        logger.error(`[ottoauth-mcp] failed to write budget store ${storePath}:`, error);
+      });
+      return charged;
+    }
+
+    return {
+      allowed: /** @type {const} */ (true),
+      charge: {
+        amount,
+        release,
+        /**
+         * Records the spend of a completed call: the charged amount from the
+         * response when present, else the requested amount. A 4xx was refused
+         * and costs nothing; a 5xx may still have gone through upstream, so it
+         * counts at the requested amount.
+         * @param {{ ok: boolean; status: number; body: unknown }} response
+         * @returns {Promise<number | null>} amount recorded
+         */
+        async settle(response) {
+          release();
+          if (!response.ok) {
+            return response.status >= 500 ? record(amount) : null;
+          }
+          return record(
+            extractAmount(
+              response.body,
+              rule.responseAmountField ? [rule.responseAmountField] : DEFAULT_AMOUNT_FIELDS,
+            ) ?? amount,
+          );
+        },
+        /**
+         * Records a call that was sent but got no response (network error,
+         * timeout or cancellation). It may have gone through, so it counts at
+         * the requested amount.
+         * @returns {Promise<number | null>} amount recorded
+         */
+        async settleUnknown() {
+          release();
+          return record(amount);
+        },
+      },
+    };
+  }
+
+  /** @param {string[]} profileNames */
+  async function status(profileNames) {
+    await ensureLoaded();
+    return profileNames.map(usage);
+  }
+
+  return { storePath, ensureLoaded, reserve, status };
+}
+
+/** @param {Date} date */
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,311 @@
+/**
+ * @typedef {Object} ShellToken
+ * @property {'word' | 'op'} type
+ * @property {string} value
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} CurlCommand
+ * @property {string[]} args Arguments after `curl`.
+ * @property {number} start Offset of `curl` in the input.
+ * @property {number} end Offset just past the last argument.
+ */
+
+/**
+ * @typedef {Object} ParsedCurl
+ * @property {string} method
+ * @property {string} url
+ * @property {Record<string, string>} headers
+ * @property {string | null} data
+ * @property {Record<string, unknown> | null} json
+ */
+
+// Flags that consume the following argument (or the rest of a short-flag cluster).
+const SHORT_FLAGS_WITH_ARG = new Set("XHdubcoAeEmwFTKrxyYzQCPtDU".split(""));
+const LONG_FLAGS_WITH_ARG = new Set([
+  "--request",
+  "--header",
+  "--data",
+  "--data-raw",
+  "--data-binary",
+  "--data-ascii",
+  "--data-urlencode",
+  "--json",
+  "--url",
+  "--user",
+  "--user-agent",
+  "--referer",
+  "--cookie",
+  "--cookie-jar",
+  "--dump-header",
+  "--output",
+  "--max-time",
+  "--connect-timeout",
+  "--write-out",
+  "--form",
+  "--form-string",
+  "--upload-file",
+  "--proxy",
+  "--proxy-user",
+  "--cert",
+  "--key",
+  "--cacert",
+  "--config",
+  "--range",
+  "--resolve",
+  "--retry",
+  "--retry-delay",
+  "--retry-max-time",
+  "--limit-rate",
+  "--max-filesize",
+  "--oauth2-bearer",
+]);
+const DATA_FLAGS = new Set(["-d", "--data", "--data-raw", "--data-binary", "--data-ascii", "--json"]);
+
+/**
+ * Splits shell text into words and control operators, honouring single and
+ * double quotes, backslash escapes, `\`-newline continuations and comments.
+ * @param {string} input
+ * @returns {ShellToken[]}
+ */
+export function tokenizeShell(input) {
+  /** @type {ShellToken[]} */
+  const tokens = [];
+  /** @type {string | null} */
+  let current = null;
+  let start = 0;
+  let i = 0;
+
+  const push = () => {
+    if (current !== null) {
+      tokens.push({ type: "word", value: current, start, end: i });
+      current = null;
+    }
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (ch === "\\" && (input[i + 1] === "\n" || (input[i + 1] === "\r" && input[i + 2] === "\n"))) {
+      i += input[i + 1] === "\r" ? 3 : 2;
+      continue;
+    }
+    if (ch === " " || ch === "\t" || ch === "\r") {
+      push();
+      i += 1;
+      continue;
+    }
+    if (ch === "\n") {
+      push();
+      tokens.push({ type: "op", value: "\n", start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+    if (current === null && ch === "#") {
+      while (i < input.length && input[i] !== "\n") i += 1;
+      continue;
+    }
+    if (ch === "|" || ch === ";" || ch === "&") {
+      push();
+      const op = ch !== ";" && input[i + 1] === ch ? ch + ch : ch;
+      tokens.push({ type: "op", value: op, start: i, end: i + op.length });
+      i += op.length;
+      continue;
+    }
+
+    if (current === null) {
+      current = "";
+      start = i;
+    }
+
+    if (ch === "'") {
+      const close = input.indexOf("'", i + 1);
+      const stop = close === -1 ? input.length : close;
+      current += input.slice(i + 1, stop);
+      i = stop + 1;
+      continue;
+    }
+    if (ch === '"') {
+      i += 1;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === "\\" && i + 1 < input.length && '"\\$`\n'.includes(input[i + 1])) {
+          if (input[i + 1] !== "\n") current += input[i + 1];
+          i += 2;
+        } else {
+          current += input[i];
+          i += 1;
+        }
+      }
+      i += 1;
+      continue;
+    }
+    if (ch === "\\") {
+      current += input[i + 1] ?? "";
+      i += 2;
+      continue;
+    }
+
+    current += ch;
+    i += 1;
+  }
+
+  push();
+  return tokens;
+}
+
+/**
+ * Finds every `curl` invocation in shell text, including ones after `|`, `&&` or `;`.
+ * @param {string} input
+ * @returns {CurlCommand[]}
+ */
+export function extractCurlCommands(input) {
+  const tokens = tokenizeShell(input);
+  /** @type {CurlCommand[]} */
+  const commands = [];
+  /** @type {CurlCommand | null} */
+  let current = null;
+
+  for (const token of tokens) {
+    if (token.type === "op") {
+      current = null;
+      continue;
+    }
+    if (current) {
+      current.args.push(token.value);
+      current.end = token.end;
+    } else if (token.value === "curl") {
+      current = { args: [], start: token.start, end: token.end };
+      commands.push(current);
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Interprets curl arguments. The method defaults to POST when a payload is
+ * present and GET otherwise; `-G` forces GET.
+ * @param {string[]} args
+ * @returns {ParsedCurl | null}
+ */
+export function parseCurlArgs(args) {
+  /** @type {string | null} */
+  let method = null;
+  /** @type {string | null} */
+  let url = null;
+  /** @type {Record<string, string>} */
+  const headers = {};
+  /** @type {string | null} */
+  let data = null;
+  let hasPayload = false;
+  let forceGet = false;
+  let upload = false;
+
+  /**
+   * @param {string} flag
+   * @param {string} value
+   */
+  const apply = (flag, value) => {
+    if (flag === "-X" || flag === "--request") {
+      method = value.toUpperCase();
+    } else if (flag === "-H" || flag === "--header") {
+      const colon = value.indexOf(":");
+      if (colon > 0) headers[value.slice(0, colon).trim()] = value.slice(colon + 1).trim();
+    } else if (DATA_FLAGS.has(flag)) {
+      hasPayload = true;
+      data ??= value;
+      if (flag === "--json") {
+        headers["Content-Type"] ??= "application/json";
+      }
+    } else if (flag === "--data-urlencode" || flag === "-F" || flag === "--form" || flag === "--form-string") {
+      hasPayload = true;
+    } else if (flag === "-T" || flag === "--upload-file") {
+      upload = true;
+    } else if (flag === "--url") {
+      url ??= value;
+    }
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      const flag = eq === -1 ? arg : arg.slice(0, eq);
+      if (flag === "--get") forceGet = true;
+      if (LONG_FLAGS_WITH_ARG.has(flag)) {
+        const value = eq === -1 ? (args[++i] ?? "") : arg.slice(eq + 1);
+        apply(flag, value);
+      }
+      continue;
+    }
+
+    if (arg.startsWith("-") && arg.length > 1) {
+      // Short flags may be clustered (`-sSX POST`, `-XPOST`).
+      for (let j = 1; j < arg.length; j += 1) {
+        const flag = arg[j];
+        if (flag === "G") forceGet = true;
+        if (SHORT_FLAGS_WITH_ARG.has(flag)) {
+          const rest = arg.slice(j + 1);
+          apply(`-${flag}`, rest || (args[++i] ?? ""));
+          break;
+        }
+      }
+      continue;
+    }
+
+    url ??= arg;
+  }
+
+  if (!url) return null;
+
+  const resolvedMethod =
+    method ?? (forceGet ? "GET" : upload ? "PUT" : hasPayload ? "POST" : "GET");
+
+  return {
+    method: resolvedMethod,
+    url: stripUrlPlaceholder(url),
+    headers,
+    data,
+    json: data === null ? null : parseJsonObject(data),
+  };
+}
+
+/**
+ * Parses the first curl invocation in `command`.
+ * @param {string} command
+ */
+export function parseCurlCommand(command) {
+  const [first] = extractCurlCommands(command);
+  return first ? parseCurlArgs(first.args) : null;
+}
+
+/**
+ * Turns doc-style base URL placeholders (`$BASE_URL/api/x`, `https://<host>/api/x`,
+ * `{{baseUrl}}/api/x`, `localhost:3000/api/x`) into something URL-parseable.
+ * @param {string} url
+ */
+export function stripUrlPlaceholder(url) {
+  const placeholder = url.match(
+    /^(?:https?:\/\/)?(?:\$\{?[A-Za-z_][A-Za-z0-9_]*\}?|<[^>]*>|\{\{[^}]*\}\}|\{[^}]*\})(\/.*)?$/,
+  );
+  if (placeholder) return placeholder[1] ?? "/";
+  if (/^[\w.-]+(:\d+)?\//.test(url) && !/^https?:/i.test(url)) return `http://${url}`;
+  return url;
+}
+
+/**
+ * Parses `raw` as JSON, keeping it only when it is a plain object.
+ * @param {string} raw
+ * @returns {Record<string, unknown> | null}
+ */
+export function parseJsonObject(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
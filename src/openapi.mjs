@@ -0,0 +1,212 @@
+import YAML from "yaml";
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+/**
+ * @typedef {Object} OpenApiSchemas
+ * @property {Record<string, unknown> | null} path
+ * @property {Record<string, unknown> | null} query
+ * @property {Record<string, unknown> | null} body
+ * @property {boolean} bodyRequired
+ */
+
+/**
+ * @typedef {Object} OpenApiOperation
+ * @property {string} method
+ * @property {string} path
+ * @property {string | null} operationId
+ * @property {string | null} summary
+ * @property {string | null} description
+ * @property {string[]} tags
+ * @property {OpenApiSchemas} schemas
+ */
+
+/** @param {string} url */
+export function isOpenApiUrl(url) {
+  try {
+    return /\.(json|ya?ml)$/i.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+/** @param {unknown} doc */
+export function isOpenApiDocument(doc) {
+  return Boolean(
+    doc &&
+      typeof doc === "object" &&
+      typeof (/** @type {any} */ (doc).openapi) === "string" &&
+      /** @type {any} */ (doc).openapi.startsWith("3") &&
+      /** @type {any} */ (doc).paths &&
+      typeof (/** @type {any} */ (doc).paths) === "object",
+  );
+}
+
+/**
+ * Parses a JSON or YAML OpenAPI 3 document. Returns null for anything else.
+ * @param {string} text
+ */
+export function parseOpenApiDocument(text) {
+  if (!text || !text.trim()) return null;
+  let doc;
+  try {
+    doc = text.trim().startsWith("{") ? JSON.parse(text) : YAML.parse(text);
+  } catch {
+    return null;
+  }
+  return isOpenApiDocument(doc) ? doc : null;
+}
+
+/**
+ * Flattens an OpenAPI document into one entry per operation, with `$ref`s
+ * resolved and parameters grouped into JSON Schemas per location.
+ * @param {any} spec
+ * @returns {OpenApiOperation[]}
+ */
+export function extractOperationsFromOpenApi(spec) {
+  if (!isOpenApiDocument(spec)) return [];
+
+  const prefix = serverPathPrefix(spec);
+  /** @type {OpenApiOperation[]} */
+  const operations = [];
+
+  for (const [rawPath, rawItem] of Object.entries(spec.paths)) {
+    const pathItem = resolveRefs(spec, rawItem);
+    if (!pathItem || typeof pathItem !== "object") continue;
+
+    for (const method of HTTP_METHODS) {
+      const op = pathItem[method];
+      if (!op || typeof op !== "object") continue;
+
+      const parameters = mergeParameters(pathItem.parameters, op.parameters);
+      const body = op.requestBody?.content?.["application/json"]?.schema ?? null;
+
+      operations.push({
+        method: method.toUpperCase(),
+        path: `${prefix}${rawPath}`.replace(/\{([^}]+)\}/g, ":$1"),
+        operationId: typeof op.operationId === "string" ? op.operationId : null,
+        summary: typeof op.summary === "string" ? op.summary.trim() : null,
+        description: typeof op.description === "string" ? op.description.trim() : null,
+        tags: Array.isArray(op.tags) ? op.tags.filter((t) => typeof t === "string") : [],
+        schemas: {
+          path: parametersToSchema(parameters, "path"),
+          query: parametersToSchema(parameters, "query"),
+          body: body && typeof body === "object" ? nullableToTypes(body) : null,
+          bodyRequired: Boolean(op.requestBody?.required),
+        },
+      });
+    }
+  }
+
+  return operations;
+}
+
+/** @param {any} spec */
+function serverPathPrefix(spec) {
+  const serverUrl = spec.servers?.[0]?.url;
+  if (typeof serverUrl !== "string") return "";
+  try {
+    return new URL(serverUrl, "http://localhost").pathname.replace(/\/+$/, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Operation-level parameters override path-level ones with the same name and location.
+ * @param {unknown} pathLevel
+ * @param {unknown} opLevel
+ */
+function mergeParameters(pathLevel, opLevel) {
+  /** @type {Map<string, any>} */
+  const merged = new Map();
+  for (const list of [pathLevel, opLevel]) {
+    if (!Array.isArray(list)) continue;
+    for (const param of list) {
+      if (!param || typeof param.name !== "string") continue;
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * @param {any[]} parameters
+ * @param {'path' | 'query'} location
+ */
+function parametersToSchema(parameters, location) {
+  const params = parameters.filter((p) => p.in === location);
+  if (params.length === 0) return null;
+
+  const properties = {};
+  const required = [];
+  for (const param of params) {
+    properties[param.name] = {
+      ...(param.schema && typeof param.schema === "object" ? nullableToTypes(param.schema) : { type: "string" }),
+      ...(typeof param.description === "string" ? { description: param.description } : {}),
+    };
+    if (location === "path" || param.required) {
+      required.push(param.name);
+    }
+  }
+  return { type: "object", properties, required };
+}
+
+/**
+ * Rewrites OpenAPI 3.0 `nullable: true` as JSON Schema, which has no such
+ * keyword: `{ type: "string", nullable: true }` becomes `{ type: ["string", "null"] }`.
+ * @param {unknown} schema
+ * @returns {any}
+ */
+function nullableToTypes(schema) {
+  if (Array.isArray(schema)) return schema.map(nullableToTypes);
+  if (!schema || typeof schema !== "object") return schema;
+
+  /** @type {Record<string, unknown>} */
+  const out = {};
+  for (const [key, child] of Object.entries(schema)) {
+    if (key !== "nullable") out[key] = nullableToTypes(child);
+  }
+  if (/** @type {any} */ (schema).nullable !== true) return out;
+
+  if (Array.isArray(out.enum) && !out.enum.includes(null)) out.enum = [...out.enum, null];
+  if (typeof out.type === "string") {
+    out.type = [out.type, "null"];
+  } else if (Array.isArray(out.type)) {
+    if (!out.type.includes("null")) out.type = [...out.type, "null"];
+  } else {
+    return { anyOf: [out, { type: "null" }] };
+  }
+  return out;
+}
+
+/**
+ * Inlines local `#/...` references. Cycles are cut with an empty schema.
+ * @param {any} spec
+ * @param {unknown} value
+ * @param {Set<string>} [seen]
+ * @returns {any}
+ */
+export function resolveRefs(spec, value, seen = new Set()) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRefs(spec, item, seen));
+  }
+  if (!value || typeof value !== "object") return value;
+
+  const ref = /** @type {any} */ (value).$ref;
+  if (typeof ref === "string") {
+    if (!ref.startsWith("#/") || seen.has(ref)) return {};
+    const target = ref
+      .slice(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), spec);
+    return resolveRefs(spec, target, new Set([...seen, ref]));
+  }
+
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    out[key] = resolveRefs(spec, child, seen);
+  }
+  return out;
+}
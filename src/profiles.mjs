@@ -0,0 +1,97 @@
+import fs from "node:fs";
+
+export const DEFAULT_PROFILE = "default";
+
+/**
+ * @typedef {Object} ProfileConfig
+ * @property {string} [baseUrl] Ottoauth base URL; defaults to the server's.
+ * @property {string} [username] Agent to call as. Without a key, its key is read from the vault.
+ * @property {string} [privateKey]
+ * @property {string} [privateKeyEnv] Name of an env var holding the private key.
+ * @property {Record<string, string>} [headers] Sent with every request; per-call headers win.
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name
+ * @property {string} baseUrl
+ * @property {string | null} username
+ * @property {string | null} privateKey
+ * @property {Record<string, string>} headers
+ */
+
+/**
+ * Reads profile configs from `options`, the `OTTOAUTH_PROFILES` JSON object or
+ * the JSON file at `OTTOAUTH_PROFILES_PATH`, in that order.
+ * @param {Record<string, ProfileConfig>} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Record<string, ProfileConfig>}
+ */
+export function loadProfileConfigs(options, env = process.env) {
+  if (options) return options;
+  if (env.OTTOAUTH_PROFILES) {
+    return parseProfilesJson(env.OTTOAUTH_PROFILES, "OTTOAUTH_PROFILES");
+  }
+  if (env.OTTOAUTH_PROFILES_PATH) {
+    const raw = fs.readFileSync(env.OTTOAUTH_PROFILES_PATH, "utf8");
+    return parseProfilesJson(raw, env.OTTOAUTH_PROFILES_PATH);
+  }
+  return {};
+}
+
+/**
+ * Validates configs into profiles. A `default` profile for `baseUrl` always exists.
+ * @param {Record<string, ProfileConfig>} configs
+ * @param {{ baseUrl: string; normalizeBaseUrl: (raw: string) => string; env?: NodeJS.ProcessEnv }} context
+ * @returns {Map<string, Profile>}
+ */
+export function resolveProfiles(configs, { baseUrl, normalizeBaseUrl, env = process.env }) {
+  if (!configs || typeof configs !== "object" || Array.isArray(configs)) {
+    throw new Error("Profiles must be an object keyed by profile name.");
+  }
+
+  /** @type {Map<string, Profile>} */
+  const profiles = new Map([
+    [DEFAULT_PROFILE, { name: DEFAULT_PROFILE, baseUrl, username: null, privateKey: null, headers: {} }],
+  ]);
+
+  for (const [name, config] of Object.entries(configs)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid profile name '${name}'; use letters, digits, '_' or '-'.`);
+    }
+    if (!config || typeof config !== "object") {
+      throw new Error(`Profile '${name}' must be an object.`);
+    }
+    const privateKey =
+      config.privateKey ?? (config.privateKeyEnv ? env[config.privateKeyEnv] : undefined);
+    if (config.privateKeyEnv && !privateKey) {
+      throw new Error(`Profile '${name}' reads its key from ${config.privateKeyEnv}, which is not set.`);
+    }
+    if (privateKey && !config.username) {
+      throw new Error(`Profile '${name}' has a private key but no username.`);
+    }
+    profiles.set(name, {
+      name,
+      baseUrl: config.baseUrl ? normalizeBaseUrl(config.baseUrl) : baseUrl,
+      username: config.username ?? null,
+      privateKey: privateKey ?? null,
+      headers: Object.fromEntries(
+        Object.entries(config.headers ?? {}).map(([key, value]) => [key, String(value)]),
+      ),
+    });
+  }
+
+  return profiles;
+}
+
+/**
+ * @param {string} raw
+ * @param {string} source
+ */
+function parseProfilesJson(raw, source) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`${source} must contain a JSON object of profiles.`);
+  }
+}
@@ -0,0 +1,200 @@
+import { globToRegExp } from "./access.mjs";
+import { sleep } from "./retry.mjs";
+
+export const RATE_LIMIT_MODES = ["fail", "queue"];
+export const DEFAULT_RATE_LIMIT_MAX_WAIT_MS = 30_000;
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} requests Requests allowed per `intervalMs`.
+ * @property {number} intervalMs
+ * @property {number} [burst] Bucket size, i.e. how many calls may go out back to back (default `requests`).
+ */
+
+/**
+ * @typedef {RateLimit & { path: string; methods?: string[] }} EndpointRateLimit
+ */
+
+/**
+ * @typedef {Object} RateLimitConfig
+ * @property {'fail' | 'queue'} [mode] `fail` refuses a call that is over the limit; `queue` waits for a token.
+ * @property {number} [maxWaitMs] Longest a queued call waits before it fails anyway.
+ * @property {Record<string, RateLimit>} [services] Limits per service id.
+ * @property {EndpointRateLimit[]} [endpoints] Limits per path glob, each with its own bucket.
+ */
+
+/**
+ * Reads limits from `options` or the `OTTOAUTH_RATE_LIMITS` JSON object.
+ * @param {RateLimitConfig} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Required<RateLimitConfig> | null} null when no limits are configured
+ */
+export function resolveRateLimitConfig(options, env = process.env) {
+  let config = options;
+  if (!config && env.OTTOAUTH_RATE_LIMITS) {
+    try {
+      config = JSON.parse(env.OTTOAUTH_RATE_LIMITS);
+    } catch {
+      throw new Error("OTTOAUTH_RATE_LIMITS must be a JSON object.");
+    }
+  }
+  if (!config) return null;
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Rate limit config must be an object.");
+  }
+  const mode = config.mode ?? "fail";
+  if (!RATE_LIMIT_MODES.includes(mode)) {
+    throw new Error(`Unknown rate limit mode '${mode}'; expected one of: ${RATE_LIMIT_MODES.join(", ")}.`);
+  }
+  const services = Object.fromEntries(
+    Object.entries(config.services ?? {}).map(([id, limit]) => [
+      id.toLowerCase(),
+      validateLimit(limit, `service '${id}'`),
+    ]),
+  );
+  if (!Array.isArray(config.endpoints ?? [])) {
+    throw new Error("Rate limit endpoints must be an array.");
+  }
+  const endpoints = (config.endpoints ?? []).map((rule, index) => {
+    if (!rule || typeof rule.path !== "string") {
+      throw new Error(`Rate limit endpoint rule #${index} needs a 'path' glob.`);
+    }
+    return {
+      ...validateLimit(rule, `endpoint rule #${index}`),
+      path: rule.path,
+      methods: Array.isArray(rule.methods) ? rule.methods.map((m) => String(m).toUpperCase()) : undefined,
+    };
+  });
+  return {
+    mode,
+    maxWaitMs: Math.max(0, Number(config.maxWaitMs ?? DEFAULT_RATE_LIMIT_MAX_WAIT_MS)),
+    services,
+    endpoints,
+  };
+}
+
+/**
+ * Token buckets for the configured services and endpoint patterns. A call
+ * takes one token from every bucket it matches, or from none.
+ * @param {Required<RateLimitConfig>} config
+ * @param {{ now?: () => number }} [options]
+ */
+export function createRateLimiter(config, options = {}) {
+  const now = options.now ?? Date.now;
+  const serviceBuckets = new Map(
+    Object.entries(config.services).map(([id, limit]) => [id, createBucket(`service:${id}`, limit, now)]),
+  );
+  const endpointBuckets = config.endpoints.map((rule) => ({
+    rule,
+    pattern: globToRegExp(rule.path),
+    bucket: createBucket(`endpoint:${rule.methods ? `${rule.methods.join(",")} ` : ""}${rule.path}`, rule, now),
+  }));
+
+  /**
+   * @param {{ serviceId: string | null; method: string; path: string; template?: string }} call
+   */
+  function bucketsFor(call) {
+    const method = call.method.toUpperCase();
+    const paths = [call.path, call.template].filter(Boolean);
+    const buckets = [];
+    const service = call.serviceId ? serviceBuckets.get(call.serviceId) : undefined;
+    if (service) buckets.push(service);
+    for (const { rule, pattern, bucket } of endpointBuckets) {
+      if (rule.methods && !rule.methods.includes(method)) continue;
+      if (paths.some((p) => pattern.test(/** @type {string} */ (p)))) buckets.push(bucket);
+    }
+    return buckets;
+  }
+
+  /**
+   * Takes a token for `call`. In `queue` mode it waits (up to `maxWaitMs`)
+   * for one; otherwise, or when the wait would be longer, it reports when
+   * the call may be retried.
+   * @param {{ serviceId: string | null; method: string; path: string; template?: string }} call
+   * @param {AbortSignal} [signal]
+   */
+  async function acquire(call, signal) {
+    const buckets = bucketsFor(call);
+    const startedAt = now();
+    for (;;) {
+      let waitMs = 0;
+      let blocking = null;
+      for (const bucket of buckets) {
+        const wait = bucket.waitMs();
+        if (wait > waitMs) {
+          waitMs = wait;
+          blocking = bucket;
+        }
+      }
+      if (!blocking) {
+        for (const bucket of buckets) bucket.take();
+        return { allowed: /** @type {const} */ (true), waitedMs: now() - startedAt };
+      }
+      const waited = now() - startedAt;
+      if (config.mode !== "queue" || waited + waitMs > config.maxWaitMs) {
+        return {
+          allowed: /** @type {const} */ (false),
+          error: {
+            error: "rate_limited",
+            limit: blocking.name,
+            message: `Client-side rate limit reached for ${blocking.name}; retry in ${Math.ceil(waitMs / 1000)}s.`,
+            retryAfterMs: Math.ceil(waitMs),
+            retryAt: new Date(now() + waitMs).toISOString(),
+          },
+        };
+      }
+      await sleep(waitMs, signal);
+    }
+  }
+
+  return { config, acquire };
+}
+
+/**
+ * @param {string} name
+ * @param {RateLimit} limit
+ * @param {() => number} now
+ */
+function createBucket(name, limit, now) {
+  const capacity = limit.burst ?? limit.requests;
+  const perMs = limit.requests / limit.intervalMs;
+  let tokens = capacity;
+  let updatedAt = now();
+
+  const refill = () => {
+    const at = now();
+    tokens = Math.min(capacity, tokens + (at - updatedAt) * perMs);
+    updatedAt = at;
+  };
+
+  return {
+    name,
+    /** Milliseconds until a token is available; 0 when one is. */
+    waitMs() {
+      refill();
+      return tokens >= 1 ? 0 : (1 - tokens) / perMs;
+    },
+    take() {
+      refill();
+      tokens -= 1;
+    },
+  };
+}
+
+/**
+ * @param {any} limit
+ * @param {string} where
+ * @returns {RateLimit}
+ */
+function validateLimit(limit, where) {
+  const requests = Number(limit?.requests);
+  const intervalMs = Number(limit?.intervalMs);
+  if (!(requests > 0) || !(intervalMs > 0)) {
+    throw new Error(`Rate limit for ${where} needs positive 'requests' and 'intervalMs'.`);
+  }
+  const burst = limit.burst === undefined ? undefined : Number(limit.burst);
+  if (burst !== undefined && !(burst >= 1)) {
+    throw new Error(`Rate limit burst for ${where} must be at least 1.`);
+  }
+  return { requests, intervalMs, ...(burst !== undefined ? { burst } : {}) };
+}
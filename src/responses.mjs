@@ -0,0 +1,182 @@
+import crypto from "node:crypto";
+
+export const DEFAULT_MAX_RESPONSE_CHARS = 50_000;
+const MAX_STORED_BODIES = 20;
+
+/**
+ * @typedef {Object} UpstreamResponse
+ * @property {boolean} ok
+ * @property {number} status
+ * @property {string} statusText
+ * @property {string} url
+ * @property {string} contentType
+ * @property {unknown} body Parsed JSON, text, or base64 when `bodyEncoding` is set.
+ * @property {'base64'} [bodyEncoding]
+ * @property {number} [bytes] Size of a binary body.
+ * @property {string} [idempotencyKey]
+ * @property {import("./retry.mjs").AttemptRecord[]} [attempts]
+ */
+
+/**
+ * @typedef {Object} BodyPage
+ * @property {string} body
+ * @property {number} offset
+ * @property {number} totalChars
+ * @property {string | null} continuationToken Null once the body is exhausted.
+ */
+
+/**
+ * Whether a response with this content type should be read as text.
+ * @param {string} contentType
+ */
+export function isTextContentType(contentType) {
+  const mime = mimeTypeOf(contentType);
+  return (
+    mime === "" ||
+    mime.startsWith("text/") ||
+    /[/+](json|xml)$/.test(mime) ||
+    ["application/javascript", "application/x-www-form-urlencoded", "image/svg+xml"].includes(mime)
+  );
+}
+
+/** @param {string} contentType */
+export function mimeTypeOf(contentType) {
+  return contentType.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Holds the remainder of oversized bodies so they can be read page by page.
+ * Only the most recent bodies are kept.
+ * @param {{ maxChars?: number; maxEntries?: number }} [options]
+ */
+export function createResponsePager(options = {}) {
+  const maxChars = Math.max(1, options.maxChars ?? DEFAULT_MAX_RESPONSE_CHARS);
+  const maxEntries = options.maxEntries ?? MAX_STORED_BODIES;
+  /** @type {Map<string, string>} */
+  const bodies = new Map();
+
+  /**
+   * Stores `text` and returns its first page.
+   * @param {string} text
+   * @returns {BodyPage}
+   */
+  function open(text) {
+    const id = crypto.randomBytes(9).toString("base64url");
+    bodies.set(id, text);
+    while (bodies.size > maxEntries) {
+      bodies.delete(/** @type {string} */ (bodies.keys().next().value));
+    }
+    return page(id, text, 0, maxChars);
+  }
+
+  /**
+   * @param {string} token
+   * @param {number} [limit]
+   * @returns {BodyPage | null} null for unknown or evicted tokens
+   */
+  function read(token, limit = maxChars) {
+    const match = /^([\w-]+)\.(\d+)$/.exec(token);
+    const text = match ? bodies.get(match[1]) : undefined;
+    if (!match || text === undefined) return null;
+    return page(match[1], text, Number(match[2]), Math.max(1, Math.min(limit, maxChars)));
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} text
+   * @param {number} offset
+   * @param {number} limit
+   */
+  function page(id, text, offset, limit) {
+    const end = Math.min(text.length, offset + limit);
+    return {
+      body: text.slice(offset, end),
+      offset,
+      totalChars: text.length,
+      continuationToken: end < text.length ? `${id}.${end}` : null,
+    };
+  }
+
+  return { maxChars, open, read };
+}
+
+/**
+ * Maps an upstream response to an MCP tool result. Images become `image`
+ * blocks and other binary bodies embedded resources; anything larger than the
+ * pager's limit is cut to its first page with a continuation token and a
+ * short summary of what was left out. Without a pager nothing is truncated.
+ * @param {UpstreamResponse} response
+ * @param {ReturnType<typeof createResponsePager> | null} [pager]
+ */
+export function formatResponse(response, pager = null) {
+  const limit = pager?.maxChars ?? Infinity;
+  const { body, ...meta } = response;
+
+  if (response.bodyEncoding === "base64" && typeof body === "string" && body.length <= limit) {
+    const mimeType = mimeTypeOf(response.contentType) || "application/octet-stream";
+    return {
+      isError: !response.ok,
+      content: [
+        { type: "text", text: JSON.stringify(meta, null, 2) },
+        mimeType.startsWith("image/")
+          ? { type: "image", data: body, mimeType }
+          : { type: "resource", resource: { uri: response.url, mimeType, blob: body } },
+      ],
+      structuredContent: meta,
+    };
+  }
+
+  const text = JSON.stringify(response, null, 2);
+  if (!pager || text.length <= limit) {
+    return {
+      isError: !response.ok,
+      content: [{ type: "text", text }],
+      structuredContent: response,
+    };
+  }
+
+  const bodyText = typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  const first = pager.open(bodyText);
+  const summary =
+    `Body truncated to the first ${first.body.length} of ${first.totalChars} characters ` +
+    `(${describeBody(response)}). Call ottoauth_read_response with continuation_token ` +
+    `"${first.continuationToken}" for the rest.`;
+  const structured = {
+    ...meta,
+    body: first.body,
+    truncated: {
+      summary,
+      totalChars: first.totalChars,
+      returnedChars: first.body.length,
+      continuationToken: first.continuationToken,
+    },
+  };
+  return {
+    isError: !response.ok,
+    content: [
+      { type: "text", text: summary },
+      { type: "text", text: JSON.stringify(structured, null, 2) },
+    ],
+    structuredContent: structured,
+  };
+}
+
+/**
+ * One-line description of a body, for truncation summaries.
+ * @param {UpstreamResponse} response
+ */
+export function describeBody(response) {
+  const { body } = response;
+  if (response.bodyEncoding === "base64") {
+    return `${response.bytes ?? "?"} bytes of ${mimeTypeOf(response.contentType) || "binary data"}, base64-encoded`;
+  }
+  if (Array.isArray(body)) return `JSON array with ${body.length} items`;
+  if (body && typeof body === "object") {
+    const parts = Object.entries(body).map(([key, value]) =>
+      Array.isArray(value) ? `${key} (${value.length} items)` : key,
+    );
+    const shown = parts.slice(0, 10).join(", ");
+    return `JSON object with keys: ${shown}${parts.length > 10 ? `, +${parts.length - 10} more` : ""}`;
+  }
+  return `${String(body ?? "").length} characters of ${mimeTypeOf(response.contentType) || "text"}`;
+}
@@ -0,0 +1,148 @@
+import crypto from "node:crypto";
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts Total attempts including the first; 1 disables retries.
+ * @property {number} baseDelayMs Backoff base: attempt n waits up to `baseDelayMs * 2^(n-1)`.
+ * @property {number} maxDelayMs Cap for backoff and for honoured `Retry-After` values.
+ */
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {number} attempt
+ * @property {number | null} status
+ * @property {string | null} error
+ * @property {number} durationMs
+ * @property {number | null} retryInMs Wait before the next attempt; null on the last one.
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 10_000 };
+
+/** @type {RetryPolicy} */
+export const NO_RETRY_POLICY = { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0 };
+
+const IDEMPOTENT_METHODS = ["GET", "PUT", "DELETE"];
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+export const IDEMPOTENT_KEY_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Keeps derived keys from colliding across server processes that reuse MCP request ids.
+const IDEMPOTENCY_SCOPE = crypto.randomBytes(8).toString("hex");
+
+/**
+ * @param {Partial<RetryPolicy>} [options]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {RetryPolicy}
+ */
+export function resolveRetryPolicy(options = {}, env = process.env) {
+  return {
+    maxAttempts: Math.max(
+      1,
+      Math.floor(
+        Number(options.maxAttempts ?? env.OTTOAUTH_RETRY_MAX_ATTEMPTS ?? DEFAULT_RETRY_POLICY.maxAttempts),
+      ) || 1,
+    ),
+    baseDelayMs: Math.max(
+      0,
+      Number(options.baseDelayMs ?? env.OTTOAUTH_RETRY_BASE_MS ?? DEFAULT_RETRY_POLICY.baseDelayMs) || 0,
+    ),
+    maxDelayMs: Math.max(
+      0,
+      Number(options.maxDelayMs ?? env.OTTOAUTH_RETRY_MAX_DELAY_MS ?? DEFAULT_RETRY_POLICY.maxDelayMs) || 0,
+    ),
+  };
+}
+
+/**
+ * Only requests that are safe to repeat are retried: idempotent methods, and
+ * POST/PATCH when the caller gave them an `Idempotency-Key`. Pass the headers
+ * as the caller supplied them, not with a derived key added.
+ * @param {string} method
+ * @param {Record<string, string> | undefined} headers
+ */
+export function isRetryableRequest(method, headers) {
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+  return headerValue(headers, IDEMPOTENCY_HEADER) !== undefined;
+}
+
+/**
+ * Idempotency key for one mutating call. The same MCP request id, method and
+ * URL always give the same key within a server process, so every attempt and
+ * preview of one tool call shares it, while a deliberate second identical call
+ * gets a new one. Without a request id the key is random.
+ * @param {{ requestId?: string | number; method: string; url: string }} input
+ */
+export function deriveIdempotencyKey({ requestId, method, url }) {
+  if (requestId === undefined || requestId === null) return crypto.randomUUID();
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${IDEMPOTENCY_SCOPE}:${requestId}:${method}:${url}`)
+    .digest("hex");
+  return `ottoauth-mcp-${digest.slice(0, 32)}`;
+}
+
+/**
+ * Case-insensitive header lookup.
+ * @param {Record<string, string> | undefined} headers
+ * @param {string} name
+ */
+export function headerValue(headers, name) {
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers ?? {}).find((candidate) => candidate.toLowerCase() === wanted);
+  return key === undefined ? undefined : /** @type {Record<string, string>} */ (headers)[key];
+}
+
+/** @param {number} status */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status !== 501 && status !== 505);
+}
+
+/**
+ * @param {string | null} value `Retry-After` header: delta seconds or an HTTP date.
+ * @param {number} [now]
+ * @returns {number | null} milliseconds to wait
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(Number(trimmed) * 1000);
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter.
+ * @param {RetryPolicy} policy
+ * @param {number} attempt The attempt that just failed (1-based).
+ * @param {() => number} [random]
+ */
+export function backoffDelayMs(policy, attempt, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Resolves after `ms`, or rejects with the signal's reason once it aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -1,10 +1,68 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
+import {
+  createEndpointFilter,
+  matchesPathTemplate,
+  serviceIdFromPath,
+} from "./access.mjs";
+import { createAnnotationResolver, PASSTHROUGH_ANNOTATIONS } from "./annotations.mjs";
+import { buildApprovalElicitation, createApprovalPolicy } from "./approval.mjs";
+import {
+  createAuditLog,
+  createHeaderRedactor,
+  DEFAULT_AUDIT_QUERY_LIMIT,
+  redactHeaders,
+  resolveAuditConfig,
+} from "./audit.mjs";
+import { createBudget, resolveBudgetConfig } from "./budget.mjs";
+import { createRateLimiter, resolveRateLimitConfig } from "./ratelimit.mjs";
+import {
+  extractOperationsFromOpenApi,
+  isOpenApiUrl,
+  parseOpenApiDocument,
+} from "./openapi.mjs";
+import { extractCurlCommands, parseCurlArgs, parseCurlCommand, parseJsonObject } from "./curl.mjs";
+import { DEFAULT_PROFILE, loadProfileConfigs, resolveProfiles } from "./profiles.mjs";
+import {
+  backoffDelayMs,
+  deriveIdempotencyKey,
+  headerValue,
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENT_KEY_METHODS,
+  isRetryableRequest,
+  isRetryableStatus,
+  NO_RETRY_POLICY,
+  parseRetryAfter,
+  resolveRetryPolicy,
+  sleep,
+} from "./retry.mjs";
+import {
+  createResponsePager,
+  DEFAULT_MAX_RESPONSE_CHARS,
+  formatResponse,
+  isTextContentType,
+} from "./responses.mjs";
+import { applyCredential, createCredentialVault, maskSecret, scrubSecret } from "./vault.mjs";
 import { createWebhookRelay } from "./webhook.mjs";
 
 export const DEFAULT_BASE_URL = "http://localhost:3000";
 export const DEFAULT_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
 export const DEFAULT_HTTP_TIMEOUT_MS = 30_000;
+export const DEFAULT_MAX_HTTP_TIMEOUT_MS = 300_000;
+export const DEFAULT_OPENAPI_PATH = "/api/openapi.json";
+export const DEFAULT_DOCS_CONCURRENCY = 4;
+export const MAX_TOOL_NAME_LENGTH = 64;
+export const SUPPORTED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+export const TOOL_MODES = ["eager", "lazy"];
+export const DEFAULT_SEARCH_LIMIT = 10;
+export const CREATE_ACCOUNT_PATH = "/api/agents/create";
+
+export const SERVICES_INDEX_URI = "ottoauth://services";
+
+const DISCOVERY_CACHE_VERSION = 1;
 
 /**
  * @typedef {Object} EndpointTool
@@ -14,13 +72,56 @@ export const DEFAULT_HTTP_TIMEOUT_MS = 30_000;
  * @property {string} method
  * @property {string} path
  * @property {string} serviceId
+ * @property {string[]} pathParams
+ * @property {Record<string, unknown> | null} bodyExample
+ * @property {Record<string, string> | null} headerExample
+ * @property {'markdown' | 'openapi'} source
+ * @property {string | null} operationId
+ * @property {import("./openapi.mjs").OpenApiSchemas | null} schemas
  */
 
+const endpointInputSchema = {
+  path_params: z
+    .record(z.string(), z.union([z.string(), z.number()]))
+    .optional()
+    .describe("Values for path placeholders (for example: runId)."),
+  query: z
+    .record(
+      z.string(),
+      z.union([z.string(), z.number(), z.boolean(), z.null()]),
+    )
+    .optional()
+    .describe("Optional query string parameters."),
+  body: z
+    .record(z.string(), z.unknown())
+    .optional()
+    .describe("JSON body to forward as-is to Ottoauth."),
+  headers: z
+    .record(z.string(), z.string())
+    .optional()
+    .describe("Optional additional HTTP headers."),
+};
+
+const idempotencyInputSchema = {
+  idempotency_key: z
+    .string()
+    .min(1)
+    .max(255)
+    .optional()
+    .describe(
+      "Idempotency-Key to send. Reuse it when repeating a call so Ottoauth does not apply it twice; a new one is generated for each call when omitted. A key given here also lets a POST or PATCH be retried automatically.",
+    ),
+};
+
 /**
  * @param {{
  * baseUrl?: string;
  * refreshIntervalMs?: number;
  * httpTimeoutMs?: number;
+ * maxHttpTimeoutMs?: number;
+ * openapiUrl?: string;
+ * docsConcurrency?: number;
+ * docsTimeoutMs?: number;
  * fetchImpl?: typeof fetch;
  * logger?: Pick<Console, 'error'>;
  * webhookPath?: string;
@@ -31,14 +132,137 @@ export const DEFAULT_HTTP_TIMEOUT_MS = 30_000;
  * gatewayUrl?: string;
  * gatewayAuthToken?: string;
  * webhookStorePath?: string;
+ * discoveryCachePath?: string;
+ * endpointFilter?: import("./access.mjs").EndpointFilterConfig;
+ * toolAnnotations?: import("./annotations.mjs").AnnotationRule[];
+ * approval?: import("./approval.mjs").ApprovalRule[];
+ * budget?: import("./budget.mjs").BudgetConfig;
+ * budgetStorePath?: string;
+ * dryRun?: boolean;
+ * rateLimits?: import("./ratelimit.mjs").RateLimitConfig;
+ * audit?: Parameters<typeof resolveAuditConfig>[0];
+ * toolMode?: 'eager' | 'lazy';
+ * vaultPath?: string;
+ * vaultPassphrase?: string;
+ * profiles?: Record<string, import("./profiles.mjs").ProfileConfig>;
+ * profile?: string;
+ * retry?: Partial<import("./retry.mjs").RetryPolicy>;
+ * maxResponseChars?: number;
  * }} [options]
  */
 export function createOttoauthMcpServer(options = {}) {
   const baseUrl = getBaseUrl(options.baseUrl);
   const refreshIntervalMs = options.refreshIntervalMs ?? DEFAULT_REFRESH_INTERVAL_MS;
   const httpTimeoutMs = options.httpTimeoutMs ?? DEFAULT_HTTP_TIMEOUT_MS;
+  // Upper bound for the per-call `timeout_ms` argument; never below the default timeout.
+  const maxHttpTimeoutMs = Math.max(
+    httpTimeoutMs,
+    Number(
+      options.maxHttpTimeoutMs ??
+        process.env.OTTOAUTH_MAX_HTTP_TIMEOUT_MS ??
+        DEFAULT_MAX_HTTP_TIMEOUT_MS,
+    ),
+  );
+  const openapiConfigured = (options.openapiUrl ?? process.env.OTTOAUTH_OPENAPI_URL) !== undefined;
+  let openapiUrl =
+    options.openapiUrl ?? process.env.OTTOAUTH_OPENAPI_URL ?? `${baseUrl}${DEFAULT_OPENAPI_PATH}`;
+  const docsConcurrency = Number(
+    options.docsConcurrency ?? process.env.OTTOAUTH_DOCS_CONCURRENCY ?? DEFAULT_DOCS_CONCURRENCY,
+  );
+  const docsTimeoutMs = Number(
+    options.docsTimeoutMs ?? process.env.OTTOAUTH_DOCS_TIMEOUT_MS ?? httpTimeoutMs,
+  );
+  const discoveryCachePath =
+    options.discoveryCachePath ??
+    process.env.OTTOAUTH_DISCOVERY_CACHE_PATH ??
+    path.join(process.cwd(), ".ottoauth-discovery-cache.json");
+  const endpointFilter = createEndpointFilter(options.endpointFilter);
+  const toolAnnotations = createAnnotationResolver(options.toolAnnotations);
+  const approvalPolicy = createApprovalPolicy(options.approval);
+  // Server-wide dry run: every forwarding tool reports its request instead of sending it.
+  const dryRun = options.dryRun ?? process.env.OTTOAUTH_DRY_RUN === "1";
+  const toolMode = options.toolMode ?? process.env.OTTOAUTH_TOOL_MODE ?? "eager";
+  if (!TOOL_MODES.includes(toolMode)) {
+    throw new Error(`Unknown tool mode '${toolMode}'; expected one of ${TOOL_MODES.join(", ")}.`);
+  }
+  // Lazy mode keeps endpoints out of tools/list and reaches them through meta-tools.
+  const lazyTools = toolMode === "lazy";
+  const retryPolicy = resolveRetryPolicy(options.retry);
+  const responsePager = createResponsePager({
+    maxChars: Number(
+      options.maxResponseChars ??
+        process.env.OTTOAUTH_MAX_RESPONSE_CHARS ??
+        DEFAULT_MAX_RESPONSE_CHARS,
+    ),
+  });
   const fetchImpl = options.fetchImpl ?? fetch;
   const logger = options.logger ?? console;
+  const vaultPath =
+    options.vaultPath ??
+    process.env.OTTOAUTH_VAULT_PATH ??
+    path.join(process.cwd(), ".ottoauth-vault.json");
+  // An empty vault path turns credential storage and auth injection off.
+  const vault = vaultPath
+    ? createCredentialVault({
+        path: vaultPath,
+        passphrase: options.vaultPassphrase ?? process.env.OTTOAUTH_VAULT_KEY,
+        logger,
+      })
+    : null;
+  const budgetConfig = resolveBudgetConfig(options.budget);
+  const budget = budgetConfig
+    ? createBudget({
+        config: budgetConfig,
+        storePath:
+          options.budgetStorePath ??
+          process.env.OTTOAUTH_BUDGET_STORE_PATH ??
+          path.join(process.cwd(), ".ottoauth-budget.json"),
+        logger,
+      })
+    : null;
+  const rateLimitConfig = resolveRateLimitConfig(options.rateLimits);
+  const rateLimiter = rateLimitConfig ? createRateLimiter(rateLimitConfig) : null;
+  const auditConfig = resolveAuditConfig(options.audit);
+  // Configured header names are secret in previews too, not only in the audit log.
+  const redactSecretHeaders = createHeaderRedactor(auditConfig.redactHeaders);
+  const auditLog = auditConfig.path ? createAuditLog({ ...auditConfig, logger }) : null;
+  const profiles = resolveProfiles(loadProfileConfigs(options.profiles), {
+    baseUrl,
+    normalizeBaseUrl: getBaseUrl,
+  });
+  let activeProfile = options.profile ?? process.env.OTTOAUTH_PROFILE ?? DEFAULT_PROFILE;
+  if (!profiles.has(activeProfile)) {
+    throw new Error(`Unknown profile '${activeProfile}'; configured: ${[...profiles.keys()].join(", ")}.`);
+  }
+  // Only offer the `profile` argument when there is more than one identity to pick.
+  const profileInputSchema =
+    profiles.size > 1
+      ? {
+          profile: z
+            .enum([...profiles.keys()])
+            .optional()
+            .describe("Named account profile to call as. Defaults to the active profile."),
+        }
+      : {};
+  const dryRunInputSchema = {
+    dry_run: z
+      .boolean()
+      .optional()
+      .describe(
+        "Return the fully resolved request (URL, query, headers with secrets redacted, body) without sending it.",
+      ),
+  };
+  const timeoutInputSchema = {
+    timeout_ms: z
+      .number()
+      .int()
+      .positive()
+      .max(maxHttpTimeoutMs)
+      .optional()
+      .describe(
+        `Upstream timeout for this call in milliseconds (default ${httpTimeoutMs}, at most ${maxHttpTimeoutMs}). Raise it for slow endpoints such as computer-use runs.`,
+      ),
+  };
   const webhookRelay = createWebhookRelay({
     fetchImpl,
     logger,
@@ -54,45 +278,50 @@ export function createOttoauthMcpServer(options = {}) {
 
   /** @type {Map<string, EndpointTool>} */
   const endpointTools = new Map();
+  /** @type {EndpointTool[]} every discovered endpoint, blocked ones included */
+  let discoveredEndpoints = [];
   /** @type {Map<string, import("@modelcontextprotocol/sdk/server/mcp.js").RegisteredTool>} */
   const registeredTools = new Map();
+  /** @type {Map<string, { resource: import("@modelcontextprotocol/sdk/server/mcp.js").RegisteredResource; metadata: string }>} */
+  const registeredDocs = new Map();
+  /** @type {Map<string, { prompt: import("@modelcontextprotocol/sdk/server/mcp.js").RegisteredPrompt; metadata: string }>} */
+  const registeredPrompts = new Map();
+  const discoveryCache = createDiscoveryCache();
 
   let lastRefreshAt = 0;
+  /** @type {{ at: string; message: string } | null} */
+  let lastRefreshError = null;
+  /** @type {{ added: string[]; removed: string[]; changed: string[] }} */
+  let lastRefreshDiff = { added: [], removed: [], changed: [] };
+  /** @type {'none' | 'cache' | 'live'} */
+  let toolsSource = "none";
+  let filteredEndpointCount = 0;
+  /** @type {string | null} */
+  let cacheSavedAt = null;
+  let cachePersistQueue = Promise.resolve();
   /** @type {Promise<void> | null} */
   let refreshPromise = null;
   /** @type {NodeJS.Timeout | null} */
   let refreshTimer = null;
 
-  const server = new McpServer({
-    name: "ottoauth-mcp-proxy",
-    version: "0.1.0",
-  });
-
-  const endpointInputSchema = {
-    path_params: z
-      .record(z.string(), z.union([z.string(), z.number()]))
-      .optional()
-      .describe("Values for path placeholders (for example: runId)."),
-    query: z
-      .record(
-        z.string(),
-        z.union([z.string(), z.number(), z.boolean(), z.null()]),
-      )
-      .optional()
-      .describe("Optional query string parameters."),
-    body: z
-      .record(z.string(), z.unknown())
-      .optional()
-      .describe("JSON body to forward as-is to Ottoauth."),
-    headers: z
-      .record(z.string(), z.string())
-      .optional()
-      .describe("Optional additional HTTP headers."),
-  };
+  const server = new McpServer(
+    {
+      name: "ottoauth-mcp-proxy",
+      version: "0.1.0",
+    },
+    {
+      // Coalesce the per-tool/resource/prompt notifications the SDK emits during one refresh.
+      debouncedNotificationMethods: [
+        "notifications/tools/list_changed",
+        "notifications/resources/list_changed",
+        "notifications/prompts/list_changed",
+      ],
+    },
+  );
 
   const genericRequestSchema = {
     method: z
-      .enum(["GET", "POST", "PUT", "PATCH", "DELETE"])
+      .enum(SUPPORTED_METHODS)
       .describe("HTTP method to call."),
     path: z
       .string()
@@ -100,6 +329,10 @@ export function createOttoauthMcpServer(options = {}) {
     query: endpointInputSchema.query,
     body: endpointInputSchema.body,
     headers: endpointInputSchema.headers,
+    ...idempotencyInputSchema,
+    ...timeoutInputSchema,
+    ...dryRunInputSchema,
+    ...profileInputSchema,
   };
 
   const createAccountInputSchema = {
@@ -117,6 +350,7 @@ export function createOttoauthMcpServer(options = {}) {
       .max(100)
       .optional()
       .describe("Optional short profile description for the agent."),
+    ...dryRunInputSchema,
   };
 
   server.registerTool(
@@ -126,23 +360,41 @@ export function createOttoauthMcpServer(options = {}) {
       description:
         "Generic Ottoauth passthrough tool. Use this if no endpoint-specific tool matches your request.",
       inputSchema: genericRequestSchema,
+      annotations: PASSTHROUGH_ANNOTATIONS,
     },
-    async ({ method, path, query, body, headers }) => {
-      const normalizedPath = normalizePath(path);
-      const result = await forwardRequest({
-        baseUrl,
-        method,
-        path: normalizedPath,
-        query,
-        body,
-        headers,
-        fetchImpl,
-        httpTimeoutMs,
-      });
-      if (isListServicesRequest(method, normalizedPath) && result.ok) {
-        await ensureFreshTools(true);
+    async (
+      { method, path, query, body, headers, idempotency_key, timeout_ms, dry_run, profile: profileName },
+      extra,
+    ) => {
+      const resolved = resolveRequestPath(path);
+      const endpointRef = resolveEndpointRef(method, resolved.matchPath);
+      const access = endpointFilter.check(endpointRef);
+      if (!access.allowed) {
+        return errorToMcp({
+          error: "endpoint_blocked",
+          reason: access.reason,
+          method,
+          path: resolved.matchPath,
+        });
       }
-      return responseToMcp(result);
+      return executeRequest(
+        {
+          toolName: "ottoauth_http_request",
+          profile: getProfile(profileName),
+          serviceId: endpointRef.serviceId,
+          method,
+          path: resolved.path,
+          matchPath: resolved.matchPath,
+          template: endpointRef.template,
+          query: { ...resolved.query, ...query },
+          body,
+          headers,
+          idempotencyKey: idempotency_key,
+          timeoutMs: timeout_ms,
+          dryRun: dry_run,
+        },
+        extra,
+      );
     },
   );
 
@@ -151,26 +403,347 @@ export function createOttoauthMcpServer(options = {}) {
     {
       title: "Ottoauth Create Account",
       description:
-        "Create a new Ottoauth account (agent) and return credentials, including the private key.",
+        "Create a new Ottoauth account (agent). The private key is stored in the local credential vault and returned masked; later calls are authenticated as this agent automatically.",
       inputSchema: createAccountInputSchema,
     },
-    async ({ username, callback_url, description }) => {
-      const result = await forwardRequest({
-        baseUrl,
+    async ({ username, callback_url, description, dry_run }, extra) => {
+      const profile = getProfile();
+      const input = {
+        baseUrl: profile.baseUrl,
         method: "POST",
-        path: "/api/agents/create",
+        path: CREATE_ACCOUNT_PATH,
         body: {
           username,
           callback_url,
           description,
         },
-        fetchImpl,
-        httpTimeoutMs,
-      });
-      return responseToMcp(result);
+        headers: profile.headers,
+        requestId: extra.requestId,
+      };
+      if (dryRun || dry_run) {
+        return dryRunResult(profile, previewRequest(input, redactSecretHeaders));
+      }
+      const throttled = await throttle(
+        { serviceId: serviceIdFromPath(CREATE_ACCOUNT_PATH), method: "POST", path: CREATE_ACCOUNT_PATH },
+        extra,
+      );
+      if (throttled) {
+        return throttled;
+      }
+      let result;
+      try {
+        result = await forwardAudited("ottoauth_create_account", profile.name, {
+          ...input,
+          signal: extra.signal,
+          fetchImpl,
+          httpTimeoutMs,
+        });
+      } catch (error) {
+        return requestFailed(error, "POST", CREATE_ACCOUNT_PATH, extra);
+      }
+      return responseToMcp(
+        await storeCreatedCredential(result, username, profile.baseUrl),
+        responsePager,
+      );
+    },
+  );
+
+  server.registerTool(
+    "ottoauth_list_profiles",
+    {
+      title: "Ottoauth List Profiles",
+      description:
+        "List the configured account profiles (base URL, agent, credential source, default header names) and which one is active.",
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    async () => {
+      const out = { activeProfile, profiles: await describeProfiles() };
+      return {
+        content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+        structuredContent: out,
+      };
+    },
+  );
+
+  server.registerTool(
+    "ottoauth_select_profile",
+    {
+      title: "Ottoauth Select Profile",
+      description:
+        "Switch the active account profile used by Ottoauth calls that do not pass `profile` explicitly.",
+      inputSchema: {
+        name: z.string().min(1).describe("Profile name from ottoauth_list_profiles."),
+      },
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    async ({ name }) => {
+      if (!profiles.has(name)) {
+        return errorToMcp({ error: "unknown_profile", name, available: [...profiles.keys()] });
+      }
+      const previousProfile = activeProfile;
+      activeProfile = name;
+      logger.error(`[ottoauth-mcp] active profile switched from '${previousProfile}' to '${name}'`);
+      const out = { activeProfile, previousProfile };
+      return {
+        content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+        structuredContent: out,
+      };
+    },
+  );
+
+  if (budget) {
+    server.registerTool(
+      "ottoauth_budget_status",
+      {
+        title: "Ottoauth Budget Status",
+        description:
+          "Show spending so far and the remaining daily and per-session allowance for each profile. Calls that would exceed the budget are refused before they are sent.",
+        inputSchema: {
+          profile: z.string().optional().describe("Only report this profile. Defaults to all profiles."),
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+      },
+      async ({ profile }) => {
+        if (profile !== undefined && !profiles.has(profile)) {
+          return errorToMcp({ error: "unknown_profile", name: profile, available: [...profiles.keys()] });
+        }
+        const out = {
+          activeProfile,
+          profiles: await budget.status(profile ? [profile] : [...profiles.keys()]),
+        };
+        return {
+          content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+          structuredContent: out,
+        };
+      },
+    );
+  }
+
+  if (auditLog) {
+    server.registerTool(
+      "ottoauth_audit_query",
+      {
+        title: "Ottoauth Audit Query",
+        description:
+          "Search the audit log of requests proxied to Ottoauth (tool, profile, method, URL, status, latency, sizes, error), newest first. Secrets are redacted.",
+        inputSchema: {
+          tool: z.string().optional().describe("Only entries from this tool name."),
+          status: z
+            .union([z.number().int(), z.enum(["2xx", "3xx", "4xx", "5xx", "error"])])
+            .optional()
+            .describe("HTTP status, a status class like `4xx`, or `error` for calls that got no response."),
+          since: z
+            .string()
+            .optional()
+            .describe("Start of the time window: an ISO timestamp or a duration ago like `15m`, `2h`, `1d`."),
+          until: z.string().optional().describe("End of the time window, same formats as `since`."),
+          limit: z
+            .number()
+            .int()
+            .positive()
+            .max(500)
+            .optional()
+            .describe(`Maximum entries to return (default ${DEFAULT_AUDIT_QUERY_LIMIT}).`),
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+      },
+      async ({ tool, status, since, until, limit }) => {
+        const window = { since: parseTimeBound(since), until: parseTimeBound(until) };
+        for (const [field, value] of Object.entries(window)) {
+          if (value === null) {
+            return errorToMcp({
+              error: "invalid_time",
+              field,
+              message: "Use an ISO timestamp or a duration like 15m, 2h or 1d.",
+            });
+          }
+        }
+        const entries = await auditLog.search({
+          tool,
+          status,
+          since: window.since ?? undefined,
+          until: window.until ?? undefined,
+          limit,
+        });
+        const out = { count: entries.length, entries };
+        return {
+          content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+          structuredContent: out,
+        };
+      },
+    );
+  }
+
+  server.registerTool(
+    "ottoauth_discovery_report",
+    {
+      title: "Ottoauth Discovery Report",
+      description:
+        "Explain how endpoint tools were discovered: every service seen, its docs URL, HTTP status, bytes parsed, endpoints found, endpoints dropped or merged, and the last refresh time and error. Use it when an expected tool is missing.",
+      inputSchema: {
+        refresh: z
+          .boolean()
+          .optional()
+          .describe("Run a fresh discovery before reporting."),
+      },
+    },
+    async ({ refresh }) => {
+      if (refresh) {
+        await refreshToolsFromOttoauth().catch((error) => {
+          logger.error("[ottoauth-mcp] refresh for discovery report failed:", error);
+        });
+      }
+      const report = buildDiscoveryReport();
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }],
+        structuredContent: report,
+      };
+    },
+  );
+
+  server.registerTool(
+    "ottoauth_read_response",
+    {
+      title: "Ottoauth Read Response",
+      description:
+        "Read the next part of a response body that was too large to return at once, using the continuation_token from its `truncated` field.",
+      inputSchema: {
+        continuation_token: z.string().min(1).describe("Token from `truncated.continuationToken`."),
+        max_chars: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe("Characters to return; capped at the server's response size limit."),
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    async ({ continuation_token, max_chars }) => {
+      const page = responsePager.read(continuation_token, max_chars);
+      if (!page) {
+        return errorToMcp({
+          error: "unknown_continuation_token",
+          message: "The token is invalid or its response is no longer cached; repeat the original call.",
+        });
+      }
+      return {
+        content: [{ type: "text", text: JSON.stringify(page, null, 2) }],
+        structuredContent: page,
+      };
     },
   );
 
+  if (lazyTools) {
+    server.registerTool(
+      "ottoauth_search_tools",
+      {
+        title: "Ottoauth Search Tools",
+        description:
+          "Keyword search over discovered Ottoauth endpoints and their service docs. Returns tool names to pass to ottoauth_describe_tool and ottoauth_invoke.",
+        inputSchema: {
+          query: z.string().min(1).describe("Keywords, for example 'amazon order history'."),
+          service: z.string().optional().describe("Only search this service id."),
+          limit: z.number().int().min(1).max(50).optional(),
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+      },
+      async ({ query, service, limit }) => {
+        await ensureFreshTools(false);
+        const results = searchEndpointTools([...endpointTools.values()], query, {
+          serviceId: service ? safeServiceId(service) : null,
+          limit,
+          docsByService: new Map(
+            [...discoveryCache.serviceDocs].map(([serviceId, docs]) => [serviceId, docs.text]),
+          ),
+        });
+        const out = { query, count: results.length, results };
+        return {
+          content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+          structuredContent: out,
+        };
+      },
+    );
+
+    server.registerTool(
+      "ottoauth_describe_tool",
+      {
+        title: "Ottoauth Describe Tool",
+        description:
+          "Show the full description, input JSON Schema, annotations and docs location of one discovered Ottoauth endpoint.",
+        inputSchema: {
+          tool_name: z.string().min(1).describe("Tool name from ottoauth_search_tools."),
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+      },
+      async ({ tool_name }) => {
+        await ensureFreshTools(false);
+        const endpoint = endpointTools.get(tool_name);
+        if (!endpoint) {
+          return unknownToolError(tool_name);
+        }
+        const out = {
+          toolName: endpoint.toolName,
+          title: endpoint.title,
+          description: endpoint.description,
+          method: endpoint.method,
+          path: endpoint.path,
+          serviceId: endpoint.serviceId,
+          inputSchema: endpointInputJsonSchema(endpoint, serverArgumentsSchema(endpoint)),
+          annotations: toolAnnotations.annotationsFor(endpoint),
+          docsUri: registeredDocs.has(endpoint.serviceId) ? serviceDocsUri(endpoint.serviceId) : null,
+        };
+        return {
+          content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+          structuredContent: out,
+        };
+      },
+    );
+
+    server.registerTool(
+      "ottoauth_invoke",
+      {
+        title: "Ottoauth Invoke",
+        description:
+          "Call a discovered Ottoauth endpoint by tool name. `arguments` must match the inputSchema from ottoauth_describe_tool (path_params, query, body, headers).",
+        inputSchema: {
+          tool_name: z.string().min(1).describe("Tool name from ottoauth_search_tools."),
+          arguments: z
+            .record(z.string(), z.unknown())
+            .optional()
+            .describe("Arguments for the endpoint tool."),
+        },
+        annotations: PASSTHROUGH_ANNOTATIONS,
+      },
+      async ({ tool_name, arguments: args }, extra) => {
+        await ensureFreshTools(false);
+        const endpoint = endpointTools.get(tool_name);
+        if (!endpoint) {
+          return unknownToolError(tool_name);
+        }
+        const parsed = z.object(endpointToolSchema(endpoint)).safeParse(args ?? {});
+        if (!parsed.success) {
+          return errorToMcp({
+            error: "invalid_arguments",
+            tool_name,
+            issues: parsed.error.issues.map((issue) => ({
+              path: issue.path.join("."),
+              message: issue.message,
+            })),
+          });
+        }
+        return callEndpoint(endpoint, parsed.data, extra);
+      },
+    );
+  }
+
+  /** @param {string} toolName */
+  function unknownToolError(toolName) {
+    const suggestions = searchEndpointTools([...endpointTools.values()], toolName.replace(/_/g, " "), {
+      limit: 5,
+    }).map((result) => result.toolName);
+    return errorToMcp({ error: "unknown_tool", tool_name: toolName, suggestions });
+  }
+
   server.registerTool(
     "webhook_status",
     {
@@ -280,15 +853,61 @@ export function createOttoauthMcpServer(options = {}) {
     },
   );
 
+  server.registerResource(
+    "ottoauth_services",
+    SERVICES_INDEX_URI,
+    {
+      title: "Ottoauth Services",
+      description:
+        "Index of discovered Ottoauth services with their docs resource URIs and endpoint tools.",
+      mimeType: "application/json",
+    },
+    async (uri) => ({
+      contents: [
+        {
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify(buildServicesIndex(), null, 2),
+        },
+      ],
+    }),
+  );
+
+  server.registerPrompt(
+    "use_ottoauth",
+    {
+      title: "Use Ottoauth",
+      description:
+        "Start a session with Ottoauth: lists the discovered services, their prompts and the generic tools.",
+    },
+    async () => ({
+      messages: [
+        { role: "user", content: { type: "text", text: buildOverviewPrompt(listServices()) } },
+      ],
+    }),
+  );
+
   async function start() {
     await webhookRelay.start();
-    try {
-      await refreshToolsFromOttoauth();
-    } catch (error) {
-      logger.error(
-        "[ottoauth-mcp] initial tool discovery failed; continuing with generic passthrough tool:",
-        error,
-      );
+    await vault?.ensureLoaded();
+    await budget?.ensureLoaded();
+    if (await loadDiscoveryCache()) {
+      // Serve cached tools right away and reconcile with Ottoauth in the background.
+      refreshToolsFromOttoauth().catch((error) => {
+        logger.error(
+          "[ottoauth-mcp] background refresh failed; continuing with cached tools:",
+          error,
+        );
+      });
+    } else {
+      try {
+        await refreshToolsFromOttoauth();
+      } catch (error) {
+        logger.error(
+          "[ottoauth-mcp] initial tool discovery failed; continuing with generic passthrough tool:",
+          error,
+        );
+      }
     }
 
     refreshTimer = setInterval(() => {
@@ -320,208 +939,2062 @@ export function createOttoauthMcpServer(options = {}) {
     }
   }
 
-  async function refreshToolsFromOttoauth() {
-    if (refreshPromise) {
-      return refreshPromise;
-    }
-
-    refreshPromise = (async () => {
-      const discovered = await discoverEndpoints({
-        baseUrl,
-        fetchImpl,
-        httpTimeoutMs,
-      });
+  /** @param {EndpointTool} endpoint */
+  function registerEndpointTool(endpoint) {
+    return server.registerTool(
+      endpoint.toolName,
+      {
+        title: endpoint.title,
+        description: endpoint.description,
+        inputSchema: endpointToolSchema(endpoint),
+        annotations: toolAnnotations.annotationsFor(endpoint),
+      },
+      async (args, extra) => {
+        await ensureFreshTools(false);
+        return callEndpoint(endpointTools.get(endpoint.toolName) ?? endpoint, args, extra);
+      },
+    );
+  }
 
-      endpointTools.clear();
-      for (const endpoint of discovered) {
-        endpointTools.set(endpoint.toolName, endpoint);
-      }
+  /** @param {EndpointTool} endpoint */
+  function endpointToolSchema(endpoint) {
+    return { ...buildEndpointInputSchema(endpoint), ...serverArgumentsSchema(endpoint) };
+  }
 
-      for (const [, handle] of registeredTools) {
-        handle.remove();
-      }
-      registeredTools.clear();
+  /**
+   * Arguments the server handles itself rather than forwarding as docs-defined input.
+   * @param {EndpointTool} endpoint
+   */
+  function serverArgumentsSchema(endpoint) {
+    return {
+      ...(IDEMPOTENT_KEY_METHODS.includes(endpoint.method) ? idempotencyInputSchema : {}),
+      ...timeoutInputSchema,
+      ...dryRunInputSchema,
+      ...profileInputSchema,
+    };
+  }
 
-      for (const endpoint of endpointTools.values()) {
-        const handle = server.registerTool(
-          endpoint.toolName,
-          {
-            title: endpoint.title,
-            description: endpoint.description,
-            inputSchema: endpointInputSchema,
-          },
-          async (args) => {
-            await ensureFreshTools(false);
-            const latest = endpointTools.get(endpoint.toolName) ?? endpoint;
-            const path = applyPathParams(latest.path, args.path_params);
-            const result = await forwardRequest({
-              baseUrl,
-              method: latest.method,
-              path,
-              query: args.query,
-              body: args.body,
-              headers: args.headers,
-              fetchImpl,
-              httpTimeoutMs,
-            });
-            return responseToMcp(result);
-          },
-        );
-        registeredTools.set(endpoint.toolName, handle);
-      }
+  /**
+   * @param {EndpointTool} endpoint
+   * @param {{ path_params?: Record<string, string | number>; query?: Record<string, unknown>; body?: unknown; headers?: Record<string, string>; idempotency_key?: string; timeout_ms?: number; dry_run?: boolean; profile?: string }} args
+   * @param {{ signal?: AbortSignal; requestId?: string | number }} [extra]
+   */
+  async function callEndpoint(endpoint, args, extra) {
+    return executeRequest(
+      {
+        toolName: endpoint.toolName,
+        profile: getProfile(args.profile),
+        serviceId: endpoint.serviceId,
+        method: endpoint.method,
+        path: applyPathParams(endpoint.path, args.path_params),
+        template: endpoint.path,
+        query: args.query,
+        body: args.body,
+        headers: args.headers,
+        idempotencyKey: args.idempotency_key,
+        timeoutMs: args.timeout_ms,
+        dryRun: args.dry_run,
+      },
+      extra,
+    );
+  }
 
-      lastRefreshAt = Date.now();
-      server.sendToolListChanged();
-      logger.error(
-        `[ottoauth-mcp] refreshed ${endpointTools.size} endpoint tools from ${baseUrl}`,
+  /**
+   * Runs one allowed call through the rate limit, budget and approval
+   * checks, then forwards it with the profile's credentials. A dry run stops
+   * before all of that and reports the resolved request instead.
+   * @param {{
+   * toolName: string;
+   * profile: import("./profiles.mjs").Profile;
+   * serviceId?: string | null;
+   * method: string;
+   * path: string;
+   * matchPath?: string;
+   * template?: string;
+   * query?: Record<string, unknown>;
+   * body?: unknown;
+   * headers?: Record<string, string>;
+   * idempotencyKey?: string;
+   * timeoutMs?: number;
+   * dryRun?: boolean;
+   * }} request `matchPath` is the decoded path rules are matched against, when it differs from `path`.
+   * @param {{ signal?: AbortSignal; requestId?: string | number }} [extra]
+   */
+  async function executeRequest(request, extra) {
+    const { profile, method, path, query, body } = request;
+    const matchPath = request.matchPath ?? path;
+    const call = { ...request, path: matchPath, serviceId: request.serviceId ?? null };
+    const credential = await credentialFor(profile, method, matchPath, body);
+    const preview = () =>
+      previewRequest(
+        {
+          baseUrl: profile.baseUrl,
+          method,
+          path,
+          query,
+          body,
+          headers: { ...profile.headers, ...request.headers },
+          credential,
+          idempotencyKey: request.idempotencyKey,
+          requestId: extra?.requestId,
+        },
+        redactSecretHeaders,
       );
-    })();
 
-    try {
-      await refreshPromise;
-    } finally {
-      refreshPromise = null;
+    if (dryRun || request.dryRun) {
+      return dryRunResult(profile, preview());
     }
-  }
 
-  return {
-    server,
-    start,
-    stop,
-    webhookRelay,
-    refreshToolsFromOttoauth,
-    ensureFreshTools,
-    getSnapshot() {
-      return {
-        baseUrl,
-        endpointCount: endpointTools.size,
-        endpoints: [...endpointTools.values()],
-        lastRefreshAt,
-      };
-    },
-  };
-}
+    const throttled = await throttle(call, extra);
+    if (throttled) {
+      return throttled;
+    }
 
-/**
- * @param {{
- * baseUrl: string;
- * fetchImpl: typeof fetch;
- * httpTimeoutMs: number;
- * }} options
- * @returns {Promise<EndpointTool[]>}
- */
-export async function discoverEndpoints({ baseUrl, fetchImpl, httpTimeoutMs }) {
-  const servicesRes = await fetchWithTimeout(fetchImpl, `${baseUrl}/api/services`, {
-    method: "GET",
-    headers: { Accept: "application/json" },
-  }, httpTimeoutMs);
+    const reservation = budget
+      ? await budget.reserve({ profile: profile.name, method, path: matchPath, template: request.template, body })
+      : null;
+    if (reservation && !reservation.allowed) {
+      return errorToMcp(reservation.error);
+    }
+    const charge = reservation?.charge ?? null;
 
-  if (!servicesRes.ok) {
-    throw new Error(
-      `GET /api/services failed with status ${servicesRes.status} ${servicesRes.statusText}`,
-    );
+    if (approvalPolicy.requiresApproval(call)) {
+      let refusal;
+      try {
+        refusal = await confirmRequest(preview(), extra);
+      } catch (error) {
+        charge?.release();
+        throw error;
+      }
+      if (refusal) {
+        charge?.release();
+        return refusal;
+      }
+    }
+
+    let result;
+    try {
+      result = await forwardAudited(request.toolName, profile.name, {
+        baseUrl: profile.baseUrl,
+        method,
+        path,
+        query,
+        body: /** @type {Record<string, unknown> | undefined} */ (body),
+        headers: { ...profile.headers, ...request.headers },
+        credential,
+        idempotencyKey: request.idempotencyKey,
+        requestId: extra?.requestId,
+        retry: retryPolicy,
+        signal: extra?.signal,
+        fetchImpl,
+        httpTimeoutMs: request.timeoutMs ?? httpTimeoutMs,
+      });
+    } catch (error) {
+      // No answer does not mean nothing was bought.
+      await charge?.settleUnknown();
+      return requestFailed(error, method, path, extra);
+    }
+    if (charge) {
+      await charge.settle(result);
+    }
+    if (isListServicesRequest(method, matchPath) && result.ok) {
+      await ensureFreshTools(true);
+    }
+    if (credential && result.bodyEncoding !== "base64") {
+      result = { ...result, body: scrubSecret(result.body, credential.privateKey) };
+    }
+    return responseToMcp(result, responsePager);
   }
 
-  const payload = await servicesRes.json();
-  const services = Array.isArray(payload?.services) ? payload.services : [];
+  /**
+   * Tool error for a request that got no response, with the attempt history
+   * when it was retried. A cancelled call is rethrown: nobody awaits its result.
+   * @param {unknown} error
+   * @param {string} method
+   * @param {string} path
+   * @param {{ signal?: AbortSignal }} [extra]
+   */
+  function requestFailed(error, method, path, extra) {
+    if (extra?.signal?.aborted) throw error;
+    const attempts = /** @type {{ attempts?: import("./retry.mjs").AttemptRecord[] }} */ (error)?.attempts;
+    return errorToMcp({
+      error: "upstream_request_failed",
+      method,
+      path,
+      message: errorMessage(error),
+      ...(attempts ? { attempts } : {}),
+    });
+  }
 
-  /** @type {Map<string, EndpointTool>} */
-  const found = new Map();
+  /**
+   * What a forwarding tool returns instead of sending its request.
+   * @param {import("./profiles.mjs").Profile} profile
+   * @param {import("./approval.mjs").RequestPreview} request
+   */
+  function dryRunResult(profile, request) {
+    const out = { dryRun: true, profile: profile.name, request };
+    return {
+      content: [{ type: "text", text: JSON.stringify(out, null, 2) }],
+      structuredContent: out,
+    };
+  }
 
-  for (const service of services) {
-    const serviceId = safeServiceId(service?.id);
-    if (!serviceId) continue;
+  /**
+   * Takes a rate limit token for the call, waiting for one in `queue` mode.
+   * Returns the tool error to send back when the call is over the limit.
+   * @param {{ serviceId: string | null; method: string; path: string; template?: string }} call
+   * @param {{ signal?: AbortSignal }} [extra]
+   */
+  async function throttle(call, extra) {
+    if (!rateLimiter) return null;
+    const outcome = await rateLimiter.acquire(call, extra?.signal);
+    return outcome.allowed ? null : errorToMcp(outcome.error);
+  }
 
-    const docsUrl =
-      typeof service?.docsUrl === "string" && service.docsUrl
-        ? service.docsUrl
-        : `${baseUrl}/api/services/${serviceId}`;
+  /**
+   * `forwardRequest` plus an audit log entry for the call, whether it
+   * completes or throws.
+   * @param {string} toolName
+   * @param {string} profileName
+   * @param {Parameters<typeof forwardRequest>[0]} input
+   */
+  async function forwardAudited(toolName, profileName, input) {
+    if (!auditLog) return forwardRequest(input);
+    const prepared = prepareRequest(input);
+    const entry = {
+      tool: toolName,
+      profile: profileName,
+      method: input.method,
+      url: prepared.url.toString(),
+      requestBytes: prepared.shouldSendBody ? Buffer.byteLength(JSON.stringify(prepared.payload ?? {})) : 0,
+      requestHeaders: prepared.headers,
+      requestBody: prepared.shouldSendBody ? (prepared.payload ?? {}) : null,
+    };
+    const startedAt = Date.now();
+    try {
+      const result = await forwardRequest(input);
+      auditLog.record({
+        ...entry,
+        status: result.status,
+        ok: result.ok,
+        durationMs: Date.now() - startedAt,
+        responseBytes:
+          result.bytes ??
+          Buffer.byteLength(typeof result.body === "string" ? result.body : JSON.stringify(result.body ?? null)),
+        attempts: result.attempts?.length ?? 1,
+        idempotencyKey: result.idempotencyKey ?? null,
+        error: null,
+      });
+      return result;
+    } catch (error) {
+      auditLog.record({
+        ...entry,
+        status: null,
+        ok: false,
+        durationMs: Date.now() - startedAt,
+        responseBytes: null,
+        attempts: /** @type {{ attempts?: unknown[] }} */ (error)?.attempts?.length ?? 1,
+        idempotencyKey: prepared.idempotencyKey ?? null,
+        error: errorMessage(error),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Asks the user to confirm a request through MCP elicitation.
+   * @param {import("./approval.mjs").RequestPreview} preview
+   * @param {{ signal?: AbortSignal }} [extra]
+   * @returns {Promise<ReturnType<typeof errorToMcp> | null>} null when approved, else the refusal
+   */
+  async function confirmRequest(preview, extra) {
+    if (!server.server.getClientCapabilities()?.elicitation?.form) {
+      return errorToMcp({
+        error: "approval_unavailable",
+        reason: "This call needs user approval, but the MCP client does not support elicitation.",
+        request: preview,
+      });
+    }
+    let result;
+    try {
+      result = await server.server.elicitInput(buildApprovalElicitation(preview), {
+        signal: extra?.signal,
+      });
+    } catch (error) {
+      logger.error("[ottoauth-mcp] approval request failed:", error);
+      return errorToMcp({ error: "approval_unavailable", reason: errorMessage(error), request: preview });
+    }
+    if (result.action === "accept" && result.content?.approve === true) {
+      return null;
+    }
+    return errorToMcp({
+      error: "approval_declined",
+      action: result.action,
+      reason: "The user did not approve this request; it was not sent.",
+      request: preview,
+    });
+  }
+
+  /**
+   * @param {string} [name] Defaults to the active profile.
+   * @returns {import("./profiles.mjs").Profile}
+   */
+  function getProfile(name) {
+    return /** @type {import("./profiles.mjs").Profile} */ (profiles.get(name ?? activeProfile));
+  }
+
+  /**
+   * Credential to authenticate a call with: the profile's own key, else the
+   * vault entry for the agent named in the body or profile, else the most
+   * recently created account for the profile's base URL.
+   * @param {import("./profiles.mjs").Profile} profile
+   * @param {string} method
+   * @param {string} path
+   * @param {unknown} body
+   */
+  async function credentialFor(profile, method, path, body) {
+    if (method === "GET" || path === CREATE_ACCOUNT_PATH) return null;
+    const username =
+      isPlainObject(body) && typeof body.username === "string" ? body.username : undefined;
+    if (profile.username && profile.privateKey && (!username || username === profile.username)) {
+      return { username: profile.username, privateKey: profile.privateKey };
+    }
+    if (!vault) return null;
+    return vault.get(profile.baseUrl, username ?? profile.username ?? undefined);
+  }
+
+  async function describeProfiles() {
+    return Promise.all(
+      [...profiles.values()].map(async (profile) => {
+        const stored = profile.privateKey
+          ? null
+          : await vault?.get(profile.baseUrl, profile.username ?? undefined);
+        return {
+          name: profile.name,
+          baseUrl: profile.baseUrl,
+          username: profile.username ?? stored?.username ?? null,
+          credentials: profile.privateKey ? "profile" : stored ? "vault" : "none",
+          headers: Object.keys(profile.headers),
+          active: profile.name === activeProfile,
+        };
+      }),
+    );
+  }
+
+  /**
+   * Moves the private key from a create-account response into the vault and
+   * masks it. If storing fails the key is returned as-is so it is not lost.
+   * @param {Awaited<ReturnType<typeof forwardRequest>>} result
+   * @param {string} requestedUsername
+   * @param {string} accountBaseUrl
+   */
+  async function storeCreatedCredential(result, requestedUsername, accountBaseUrl) {
+    if (!vault || !result.ok || !isPlainObject(result.body)) return result;
+    const body = result.body;
+    const keyField = ["privateKey", "private_key"].find((key) => typeof body[key] === "string");
+    if (!keyField) return result;
+
+    const username = typeof body.username === "string" ? body.username : requestedUsername;
+    const privateKey = /** @type {string} */ (body[keyField]);
+    try {
+      await vault.save({ baseUrl: accountBaseUrl, username, privateKey });
+    } catch (error) {
+      logger.error("[ottoauth-mcp] failed to store credentials in vault:", error);
+      // The key is only in this response now, so it is returned unmasked.
+      return { ...result, vault: { stored: false, error: errorMessage(error) } };
+    }
+    return {
+      ...result,
+      body: { ...body, [keyField]: maskSecret(privateKey) },
+      vault: {
+        stored: true,
+        username,
+        note: "The private key is kept in the local vault and added to later requests automatically.",
+      },
+    };
+  }
+
+  /**
+   * Maps a concrete request to the discovered endpoint it targets, so service
+   * and path-template rules apply to the passthrough tool too. Blocked
+   * endpoints are searched as well, so their template-based rules still apply.
+   * @param {string} method
+   * @param {string} path Decoded `matchPath` from `resolveRequestPath`.
+   * @returns {import("./access.mjs").EndpointRef}
+   */
+  function resolveEndpointRef(method, path) {
+    for (const endpoint of discoveredEndpoints) {
+      if (endpoint.method === method && matchesPathTemplate(endpoint.path, path)) {
+        return { serviceId: endpoint.serviceId, method, path, template: endpoint.path };
+      }
+    }
+    return { serviceId: serviceIdFromPath(path), method, path };
+  }
+
+  /** @param {EndpointTool[]} discovered */
+  function applyEndpoints(discovered) {
+    discoveredEndpoints = discovered;
+    const allowed = discovered.filter((endpoint) => endpointFilter.check(endpoint).allowed);
+    filteredEndpointCount = discovered.length - allowed.length;
+    const diff = diffEndpointTools(endpointTools, allowed);
+
+    for (const toolName of diff.removed) {
+      endpointTools.delete(toolName);
+      registeredTools.get(toolName)?.remove();
+      registeredTools.delete(toolName);
+    }
+    for (const endpoint of diff.changed) {
+      endpointTools.set(endpoint.toolName, endpoint);
+      if (lazyTools) continue;
+      registeredTools.get(endpoint.toolName)?.update({
+        title: endpoint.title,
+        description: endpoint.description,
+        paramsSchema: endpointToolSchema(endpoint),
+        annotations: toolAnnotations.annotationsFor(endpoint),
+      });
+    }
+    for (const endpoint of diff.added) {
+      endpointTools.set(endpoint.toolName, endpoint);
+      if (lazyTools) continue;
+      registeredTools.set(endpoint.toolName, registerEndpointTool(endpoint));
+    }
+
+    lastRefreshDiff = {
+      added: diff.added.map((e) => e.toolName),
+      removed: diff.removed,
+      changed: diff.changed.map((e) => e.toolName),
+    };
+  }
+
+  /**
+   * Registers one docs resource per service, updating metadata in place and
+   * removing resources for services that disappeared. Reads always serve the
+   * latest fetched text, so changed docs need no re-registration.
+   */
+  function applyServiceDocs() {
+    const current = new Map(
+      [...discoveryCache.serviceDocs].filter(([serviceId]) =>
+        endpointFilter.isServiceAllowed(serviceId),
+      ),
+    );
+
+    for (const [serviceId, entry] of registeredDocs) {
+      if (!current.has(serviceId)) {
+        entry.resource.remove();
+        registeredDocs.delete(serviceId);
+      }
+    }
+    for (const [serviceId, docs] of current) {
+      const metadata = serviceDocsMetadata(docs, discoveryCache.services.get(serviceId));
+      const key = JSON.stringify(metadata);
+      const existing = registeredDocs.get(serviceId);
+      if (!existing) {
+        const resource = server.registerResource(
+          `ottoauth_${serviceId}_docs`,
+          serviceDocsUri(serviceId),
+          metadata,
+          async (uri) => {
+            const latest = discoveryCache.serviceDocs.get(serviceId);
+            if (!latest) {
+              throw new Error(`No docs available for service '${serviceId}'`);
+            }
+            return { contents: [{ uri: uri.href, mimeType: latest.mimeType, text: latest.text }] };
+          },
+        );
+        registeredDocs.set(serviceId, { resource, metadata: key });
+      } else if (existing.metadata !== key) {
+        existing.resource.update({ title: metadata.title, metadata });
+        existing.metadata = key;
+      }
+    }
+  }
+
+  /**
+   * Registers a `use_<id>_service` prompt per visible service. Prompt text is
+   * built on request, so only title/description changes need an update.
+   */
+  function applyServicePrompts() {
+    const current = new Map(
+      listServices()
+        .filter((entry) => entry.endpoints.length > 0 || entry.docs)
+        .map((entry) => [entry.serviceId, entry]),
+    );
+
+    for (const [serviceId, entry] of registeredPrompts) {
+      if (!current.has(serviceId)) {
+        entry.prompt.remove();
+        registeredPrompts.delete(serviceId);
+      }
+    }
+    for (const [serviceId, entry] of current) {
+      const name = entry.service?.name ?? serviceId;
+      const metadata = {
+        title: `Use ${name} service`,
+        description: truncate(
+          [
+            `Prime the session with the ${name} docs, its ${entry.endpoints.length} tools and how to call them.`,
+            entry.service?.description,
+          ]
+            .filter(Boolean)
+            .join(" "),
+          500,
+        ),
+      };
+      const key = JSON.stringify(metadata);
+      const existing = registeredPrompts.get(serviceId);
+      if (!existing) {
+        const prompt = server.registerPrompt(
+          servicePromptName(serviceId),
+          {
+            ...metadata,
+            argsSchema: {
+              task: z
+                .string()
+                .optional()
+                .describe("What you want to get done with this service."),
+            },
+          },
+          async ({ task }) => {
+            const latest = listServices().find((s) => s.serviceId === serviceId);
+            if (!latest) {
+              throw new Error(`Service '${serviceId}' is no longer available`);
+            }
+            return {
+              description: metadata.description,
+              messages: [
+                {
+                  role: "user",
+                  content: {
+                    type: "text",
+                    text: buildServicePrompt({ ...latest, task, lazyTools }),
+                  },
+                },
+              ],
+            };
+          },
+        );
+        registeredPrompts.set(serviceId, { prompt, metadata: key });
+      } else if (existing.metadata !== key) {
+        existing.prompt.update(metadata);
+        existing.metadata = key;
+      }
+    }
+  }
+
+  /**
+   * Services visible to clients: listed by the last discovery or owning a
+   * registered tool, minus those excluded by the endpoint filter.
+   * @returns {ServiceSummary[]}
+   */
+  function listServices() {
+    /** @type {Map<string, EndpointTool[]>} */
+    const toolsByService = new Map();
+    for (const endpoint of endpointTools.values()) {
+      const list = toolsByService.get(endpoint.serviceId) ?? [];
+      list.push(endpoint);
+      toolsByService.set(endpoint.serviceId, list);
+    }
+    const serviceIds = new Set([...discoveryCache.services.keys(), ...toolsByService.keys()]);
+
+    return [...serviceIds]
+      .filter((serviceId) => endpointFilter.isServiceAllowed(serviceId))
+      .sort()
+      .map((serviceId) => ({
+        serviceId,
+        service: discoveryCache.services.get(serviceId) ?? null,
+        docs: registeredDocs.has(serviceId)
+          ? (discoveryCache.serviceDocs.get(serviceId) ?? null)
+          : null,
+        endpoints: (toolsByService.get(serviceId) ?? []).sort((a, b) =>
+          a.toolName.localeCompare(b.toolName),
+        ),
+      }));
+  }
+
+  function buildDiscoveryReport() {
+    return {
+      baseUrl,
+      toolsSource,
+      lastRefreshAt: lastRefreshAt ? new Date(lastRefreshAt).toISOString() : null,
+      lastRefreshError,
+      endpointCount: endpointTools.size,
+      filteredEndpointCount,
+      nameCollisions: discoveryCache.nameCollisions,
+      lastDiscovery: discoveryCache.report,
+    };
+  }
+
+  function buildServicesIndex() {
+    return {
+      baseUrl,
+      lastRefreshAt,
+      services: listServices().map(({ serviceId, service, docs, endpoints }) => ({
+        id: serviceId,
+        name: service?.name ?? null,
+        description: service?.description ?? null,
+        docsUri: docs ? serviceDocsUri(serviceId) : null,
+        docsUrl: docs?.url ?? null,
+        prompt: registeredPrompts.has(serviceId) ? servicePromptName(serviceId) : null,
+        tools: endpoints.map((e) => e.toolName),
+      })),
+    };
+  }
+
+  /** @returns {Promise<boolean>} whether cached tools were loaded */
+  async function loadDiscoveryCache() {
+    const raw = await fs.readFile(discoveryCachePath, "utf8").catch(() => "");
+    if (!raw) return false;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      logger.error("[ottoauth-mcp] invalid discovery cache json, ignoring it");
+      return false;
+    }
+
+    if (
+      parsed?.version !== DISCOVERY_CACHE_VERSION ||
+      parsed.baseUrl !== baseUrl ||
+      !Array.isArray(parsed.endpoints) ||
+      parsed.endpoints.length === 0
+    ) {
+      return false;
+    }
+
+    // A hand-edited or truncated entry must not take start() down with it.
+    const seen = new Set();
+    const endpoints = parsed.endpoints.filter((entry) => {
+      if (!isCachedEndpoint(entry) || seen.has(entry.toolName)) return false;
+      seen.add(entry.toolName);
+      return true;
+    });
+    if (endpoints.length < parsed.endpoints.length) {
+      logger.error(
+        `[ottoauth-mcp] dropped ${parsed.endpoints.length - endpoints.length} malformed discovery cache entries`,
+      );
+    }
+    if (endpoints.length === 0) return false;
+
+    if (parsed.toolNames && typeof parsed.toolNames === "object") {
+      for (const [key, toolName] of Object.entries(parsed.toolNames)) {
+        if (typeof toolName === "string") discoveryCache.toolNames.set(key, toolName);
+      }
+    }
+    try {
+      applyEndpoints(endpoints);
+    } catch (error) {
+      logger.error("[ottoauth-mcp] could not register cached tools, discovering live instead:", error);
+      applyEndpoints([]);
+      return false;
+    }
+    // Services whose docs fail on the first live refresh keep their cached endpoints.
+    for (const endpoint of endpoints) {
+      const previous = discoveryCache.endpointsByService.get(endpoint.serviceId) ?? [];
+      discoveryCache.endpointsByService.set(endpoint.serviceId, [...previous, endpoint]);
+    }
+    applyServicePrompts();
+    lastRefreshAt = Number(parsed.lastRefreshAt) || 0;
+    cacheSavedAt = typeof parsed.savedAt === "string" ? parsed.savedAt : null;
+    toolsSource = "cache";
+    logger.error(
+      `[ottoauth-mcp] loaded ${endpointTools.size} endpoint tools from discovery cache ${discoveryCachePath}`,
+    );
+    return true;
+  }
+
+  async function persistDiscoveryCache() {
+    const savedAt = new Date().toISOString();
+    const payload = {
+      version: DISCOVERY_CACHE_VERSION,
+      baseUrl,
+      savedAt,
+      lastRefreshAt,
+      docs: Object.fromEntries(
+        [...discoveryCache.documents].map(([url, doc]) => [
+          url,
+          { sha256: doc.hash, etag: doc.etag, lastModified: doc.lastModified },
+        ]),
+      ),
+      toolNames: Object.fromEntries(discoveryCache.toolNames),
+      endpoints: [...endpointTools.values()],
+    };
+
+    cachePersistQueue = cachePersistQueue
+      .catch(() => undefined)
+      .then(async () => {
+        await fs.mkdir(path.dirname(discoveryCachePath), { recursive: true });
+        await fs.writeFile(discoveryCachePath, JSON.stringify(payload, null, 2) + "\n", "utf8");
+        cacheSavedAt = savedAt;
+      });
+
+    try {
+      await cachePersistQueue;
+    } catch (error) {
+      logger.error("[ottoauth-mcp] failed to write discovery cache:", error);
+    }
+  }
+
+  async function refreshToolsFromOttoauth() {
+    if (refreshPromise) {
+      return refreshPromise;
+    }
+
+    refreshPromise = (async () => {
+      let discovered;
+      try {
+        discovered = await discoverEndpoints({
+          baseUrl,
+          fetchImpl,
+          httpTimeoutMs,
+          openapiUrl,
+          concurrency: docsConcurrency,
+          serviceTimeoutMs: docsTimeoutMs,
+          cache: discoveryCache,
+          logger,
+        });
+      } catch (error) {
+        lastRefreshError = { at: new Date().toISOString(), message: errorMessage(error) };
+        throw error;
+      }
+      lastRefreshError = null;
+
+      // The default spec location is only a guess: once the server answers
+      // without a usable document there, stop asking on later refreshes.
+      const probe = discoveryCache.report?.openapi;
+      if (!openapiConfigured && probe && probe.endpointsFound === 0 && probe.status !== null && probe.status < 500) {
+        openapiUrl = "";
+      }
+
+      applyEndpoints(discovered);
+      applyServiceDocs();
+      applyServicePrompts();
+      lastRefreshAt = Date.now();
+      toolsSource = "live";
+      logger.error(
+        `[ottoauth-mcp] refreshed ${endpointTools.size} endpoint tools from ${baseUrl} ` +
+          `(+${lastRefreshDiff.added.length} -${lastRefreshDiff.removed.length} ~${lastRefreshDiff.changed.length})`,
+      );
+      await persistDiscoveryCache();
+    })();
+
+    try {
+      await refreshPromise;
+    } finally {
+      refreshPromise = null;
+    }
+  }
+
+  return {
+    server,
+    start,
+    stop,
+    webhookRelay,
+    refreshToolsFromOttoauth,
+    ensureFreshTools,
+    getSnapshot() {
+      return {
+        baseUrl,
+        endpointCount: endpointTools.size,
+        endpoints: [...endpointTools.values()],
+        lastRefreshAt,
+        lastRefreshDiff,
+        toolsSource,
+        filteredEndpointCount,
+        nameCollisions: discoveryCache.nameCollisions,
+        cacheSavedAt,
+        discoveryCachePath,
+        discoveryReport: buildDiscoveryReport(),
+        toolMode,
+        vaultPath: vault?.path ?? null,
+        budgetStorePath: budget?.storePath ?? null,
+        dryRun,
+        rateLimits: rateLimiter?.config ?? null,
+        auditLogPath: auditLog?.path ?? null,
+        activeProfile,
+        profiles: [...profiles.keys()],
+      };
+    },
+  };
+}
+
+/**
+ * @typedef {Object} CachedDocument
+ * @property {string | null} etag
+ * @property {string | null} lastModified
+ * @property {string} text
+ * @property {string} hash sha256 of `text`
+ * @property {{ key: string; value: any } | null} parsed
+ */
+
+/**
+ * @typedef {Object} ServiceDocs
+ * @property {string} serviceId
+ * @property {string} url Where the docs were fetched from.
+ * @property {string} mimeType
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} DiscoveryCache
+ * @property {Map<string, ServiceInfo>} services Services listed by the last discovery.
+ * @property {Map<string, ServiceDocs>} serviceDocs Latest docs text per service.
+ * @property {Map<string, CachedDocument>} documents Fetched docs/specs by URL.
+ * @property {Map<string, EndpointTool[]>} endpointsByService Last successful result per service.
+ * @property {Map<string, string>} toolNames Stable tool name per `METHOD path`.
+ * @property {Array<{ toolName: string; keys: string[] }>} nameCollisions From the last discovery.
+ * @property {DiscoveryReport | null} report Diagnostics from the last completed discovery.
+ */
+
+/**
+ * @typedef {Object} DroppedEndpoint
+ * @property {string} method
+ * @property {string} path The raw path or URL as written in the docs.
+ */
+
+/**
+ * @typedef {Object} ServiceDiscoveryReport
+ * @property {unknown} rawId `id` exactly as listed by `/api/services`.
+ * @property {string | null} serviceId After `safeServiceId`; null when nothing usable is left.
+ * @property {'openapi' | 'global_openapi' | 'markdown' | null} source
+ * @property {string | null} docsUrl
+ * @property {number | null} status HTTP status of the docs fetch.
+ * @property {boolean} notModified
+ * @property {number} bytes
+ * @property {number} endpointsFound
+ * @property {DroppedEndpoint[]} droppedEndpoints Rejected by `normalizeDiscoveredPath` (e.g. non-`/api/` paths).
+ * @property {string[]} duplicatesMerged `METHOD path` keys already found elsewhere.
+ * @property {number} keptPreviousEndpoints Endpoints reused from the previous refresh after an error.
+ * @property {number} durationMs
+ * @property {string | null} error
+ */
+
+/**
+ * @typedef {Object} OpenApiDiscoveryReport
+ * @property {string} url
+ * @property {number | null} status
+ * @property {boolean} notModified
+ * @property {number} bytes
+ * @property {number} endpointsFound
+ * @property {string | null} error
+ */
+
+/**
+ * @typedef {Object} DiscoveryReport
+ * @property {string} startedAt
+ * @property {number} durationMs
+ * @property {number} servicesStatus HTTP status of `GET /api/services`.
+ * @property {OpenApiDiscoveryReport | null} openapi Server-wide spec, when configured.
+ * @property {ServiceDiscoveryReport[]} services
+ * @property {number} endpointCount After merging, before filtering.
+ */
+
+/** @returns {DiscoveryCache} */
+export function createDiscoveryCache() {
+  return {
+    services: new Map(),
+    serviceDocs: new Map(),
+    documents: new Map(),
+    endpointsByService: new Map(),
+    toolNames: new Map(),
+    nameCollisions: [],
+    report: null,
+  };
+}
+
+/**
+ * Discovers endpoint tools. An OpenAPI document (served globally at
+ * `openapiUrl`, or per service via `openapiUrl`/a `.json`/`.yaml` `docsUrl`)
+ * takes precedence; services without one fall back to markdown parsing.
+ * Service docs are fetched `concurrency` at a time; a service that fails or
+ * times out keeps its endpoints from the previous refresh instead of failing
+ * the whole discovery. What happened to each service is left in `cache.report`.
+ * @param {{
+ * baseUrl: string;
+ * fetchImpl: typeof fetch;
+ * httpTimeoutMs: number;
+ * openapiUrl?: string;
+ * concurrency?: number;
+ * serviceTimeoutMs?: number;
+ * cache?: DiscoveryCache;
+ * logger?: Pick<Console, 'error'>;
+ * }} options
+ * @returns {Promise<EndpointTool[]>}
+ */
+export async function discoverEndpoints({
+  baseUrl,
+  fetchImpl,
+  httpTimeoutMs,
+  openapiUrl,
+  concurrency = DEFAULT_DOCS_CONCURRENCY,
+  serviceTimeoutMs = httpTimeoutMs,
+  cache = createDiscoveryCache(),
+  logger,
+}) {
+  const startedAt = Date.now();
+  const { servicesRes, payload } = await fetchWithTimeout(fetchImpl, `${baseUrl}/api/services`, {
+    method: "GET",
+    headers: { Accept: "application/json" },
+  }, httpTimeoutMs, undefined, async (res) => {
+    if (!res.ok) {
+      throw new Error(`GET /api/services failed with status ${res.status} ${res.statusText}`);
+    }
+    return { servicesRes: res, payload: await res.json() };
+  });
+  const services = Array.isArray(payload?.services) ? payload.services : [];
+  const serviceIds = new Set(services.map((s) => safeServiceId(s?.id)).filter(Boolean));
+  /** @type {Map<string, ServiceInfo>} */
+  const serviceInfos = new Map(
+    services
+      .filter((s) => safeServiceId(s?.id))
+      .map((s) => [safeServiceId(s?.id), serviceInfoFrom(s)]),
+  );
+  cache.services = serviceInfos;
+  for (const serviceId of cache.serviceDocs.keys()) {
+    if (!serviceIds.has(serviceId)) cache.serviceDocs.delete(serviceId);
+  }
+
+  /** @type {ServiceDiscoveryReport[]} */
+  const reports = services.map((service) => createServiceReport(service));
+  /** @type {Map<string, ServiceDiscoveryReport>} */
+  const reportsById = new Map(
+    reports.filter((r) => r.serviceId).map((r) => [/** @type {string} */ (r.serviceId), r]),
+  );
 
-    const docs = await fetchDocsMarkdown({ docsUrl, fetchImpl, httpTimeoutMs });
-    const endpoints = extractEndpointsFromMarkdown(docs, serviceId, baseUrl);
+  /** @type {Map<string, EndpointTool>} */
+  const found = new Map();
+  /** @param {EndpointTool[]} endpoints */
+  const addAll = (endpoints) => {
     for (const endpoint of endpoints) {
-      found.set(`${endpoint.method} ${endpoint.path}`, endpoint);
+      const key = endpointKey(endpoint.method, endpoint.path);
+      if (found.has(key)) {
+        reportsById.get(endpoint.serviceId)?.duplicatesMerged.push(key);
+      }
+      found.set(key, mergeEndpointTools(found.get(key), endpoint));
+    }
+  };
+
+  /** @type {Set<string>} */
+  const coveredBySpec = new Set();
+  /** @type {OpenApiDiscoveryReport | null} */
+  let openapiReport = null;
+  if (openapiUrl) {
+    /** @type {FetchStats} */
+    const stats = { status: null, notModified: false, bytes: 0 };
+    openapiReport = { url: openapiUrl, ...stats, endpointsFound: 0, error: null };
+    const globalSpec = await fetchDocument({
+      url: openapiUrl,
+      accept: OPENAPI_ACCEPT,
+      cache,
+      fetchImpl,
+      httpTimeoutMs,
+      stats,
+    })
+      .then((doc) => (doc ? parseCachedDocument(doc, "openapi", parseOpenApiDocument) : null))
+      .catch((error) => {
+        /** @type {OpenApiDiscoveryReport} */ (openapiReport).error = errorMessage(error);
+        return null;
+      });
+    Object.assign(openapiReport, stats);
+
+    if (globalSpec) {
+      for (const operation of extractOperationsFromOpenApi(globalSpec)) {
+        const serviceId = serviceIdForOperation(operation, serviceIds);
+        const report = reportsById.get(serviceId);
+        const endpoint = endpointFromOperation(
+          operation,
+          serviceId,
+          baseUrl,
+          serviceInfos.get(serviceId),
+          report?.droppedEndpoints,
+        );
+        if (!endpoint) continue;
+        coveredBySpec.add(serviceId);
+        openapiReport.endpointsFound += 1;
+        if (report) {
+          report.source = "global_openapi";
+          report.docsUrl = openapiUrl;
+          report.endpointsFound += 1;
+        }
+        addAll([endpoint]);
+      }
+    }
+  }
+
+  const perService = await mapWithConcurrency(services, concurrency, async (service, index) => {
+    const report = reports[index];
+    const serviceId = report.serviceId;
+    if (!serviceId || coveredBySpec.has(serviceId)) return [];
+
+    const serviceStartedAt = Date.now();
+    try {
+      const endpoints = await discoverServiceEndpoints({
+        service,
+        serviceId,
+        baseUrl,
+        fetchImpl,
+        httpTimeoutMs: serviceTimeoutMs,
+        cache,
+        report,
+      });
+      cache.endpointsByService.set(serviceId, endpoints);
+      report.endpointsFound = endpoints.length;
+      return endpoints;
+    } catch (error) {
+      const previous = cache.endpointsByService.get(serviceId) ?? [];
+      report.error = errorMessage(error);
+      report.keptPreviousEndpoints = previous.length;
+      logger?.error(
+        `[ottoauth-mcp] docs fetch failed for service '${serviceId}'; keeping ${previous.length} previous endpoints:`,
+        error,
+      );
+      return previous;
+    } finally {
+      report.durationMs = Date.now() - serviceStartedAt;
+    }
+  });
+  for (const endpoints of perService) {
+    addAll(endpoints);
+  }
+
+  const { endpoints, collisions } = assignToolNames([...found.values()], cache.toolNames);
+  cache.nameCollisions = collisions;
+  for (const collision of collisions) {
+    logger?.error(
+      `[ottoauth-mcp] tool name '${collision.toolName}' is shared by ${collision.keys.join(", ")}; suffixing the others`,
+    );
+  }
+
+  cache.report = {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    servicesStatus: servicesRes.status,
+    openapi: openapiReport,
+    services: reports,
+    endpointCount: endpoints.length,
+  };
+
+  return endpoints.sort((a, b) => a.toolName.localeCompare(b.toolName));
+}
+
+/**
+ * @param {any} service Raw entry from `/api/services`.
+ * @returns {ServiceDiscoveryReport}
+ */
+function createServiceReport(service) {
+  const serviceId = safeServiceId(service?.id) || null;
+  return {
+    rawId: service?.id ?? null,
+    serviceId,
+    source: null,
+    docsUrl: null,
+    status: null,
+    notModified: false,
+    bytes: 0,
+    endpointsFound: 0,
+    droppedEndpoints: [],
+    duplicatesMerged: [],
+    keptPreviousEndpoints: 0,
+    durationMs: 0,
+    error: serviceId ? null : "invalid service id",
+  };
+}
+
+/**
+ * @param {{
+ * service: any;
+ * serviceId: string;
+ * baseUrl: string;
+ * fetchImpl: typeof fetch;
+ * httpTimeoutMs: number;
+ * cache: DiscoveryCache;
+ * report: ServiceDiscoveryReport;
+ * }} options
+ * @returns {Promise<EndpointTool[]>}
+ */
+async function discoverServiceEndpoints({
+  service,
+  serviceId,
+  baseUrl,
+  fetchImpl,
+  httpTimeoutMs,
+  cache,
+  report,
+}) {
+  const serviceInfo = serviceInfoFrom(service);
+  const parseKey = `${serviceId} ${JSON.stringify(serviceInfo)}`;
+
+  const docsUrl =
+    typeof service?.docsUrl === "string" && service.docsUrl
+      ? service.docsUrl
+      : `${baseUrl}/api/services/${serviceId}`;
+  const specUrl =
+    typeof service?.openapiUrl === "string" && service.openapiUrl
+      ? service.openapiUrl
+      : isOpenApiUrl(docsUrl)
+        ? docsUrl
+        : null;
+
+  if (specUrl) {
+    report.source = "openapi";
+    report.docsUrl = specUrl;
+    const doc = await fetchDocument({
+      url: specUrl,
+      accept: OPENAPI_ACCEPT,
+      cache,
+      fetchImpl,
+      httpTimeoutMs,
+      stats: report,
+    });
+    const parsed = doc
+      ? parseCachedDocument(doc, parseKey, (text) => {
+          const spec = parseOpenApiDocument(text);
+          if (!spec) return null;
+          /** @type {DroppedEndpoint[]} */
+          const dropped = [];
+          const endpoints = extractEndpointsFromOpenApi(spec, serviceId, baseUrl, serviceInfo, dropped);
+          return { endpoints, dropped };
+        })
+      : null;
+    if (parsed) {
+      const mimeType = /\.ya?ml$/i.test(new URL(specUrl).pathname)
+        ? "application/yaml"
+        : "application/json";
+      cache.serviceDocs.set(serviceId, { serviceId, url: specUrl, mimeType, text: doc.text });
+      report.droppedEndpoints.push(...parsed.dropped);
+      return parsed.endpoints;
+    }
+    if (specUrl === docsUrl) {
+      cache.serviceDocs.delete(serviceId);
+      report.error = doc ? "not an OpenAPI 3 document" : `HTTP ${report.status}`;
+      return [];
+    }
+  }
+
+  report.source = "markdown";
+  report.docsUrl = docsUrl;
+  report.notModified = false;
+  const doc = await fetchDocument({
+    url: docsUrl,
+    accept: MARKDOWN_ACCEPT,
+    cache,
+    fetchImpl,
+    httpTimeoutMs,
+    stats: report,
+  });
+  if (!doc) {
+    cache.serviceDocs.delete(serviceId);
+    report.error = `HTTP ${report.status}`;
+    return [];
+  }
+  cache.serviceDocs.set(serviceId, {
+    serviceId,
+    url: docsUrl,
+    mimeType: "text/markdown",
+    text: doc.text,
+  });
+  const parsed = parseCachedDocument(doc, parseKey, (text) => {
+    /** @type {DroppedEndpoint[]} */
+    const dropped = [];
+    const endpoints = extractEndpointsFromMarkdown(text, serviceId, baseUrl, serviceInfo, dropped);
+    return { endpoints, dropped };
+  });
+  report.droppedEndpoints.push(...parsed.dropped);
+  return parsed.endpoints;
+}
+
+/**
+ * Parses an ISO timestamp or a duration ago (`90s`, `15m`, `2h`, `1d`).
+ * @param {string | undefined} value
+ * @param {number} [now]
+ * @returns {Date | undefined | null} undefined when not given, null when unparseable
+ */
+export function parseTimeBound(value, now = Date.now()) {
+  if (value === undefined || value.trim() === "") return undefined;
+  const ago = /^(\d+)\s*([smhd])$/.exec(value.trim());
+  if (ago) {
+    const unitMs = { s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 }[ago[2]];
+    return new Date(now - Number(ago[1]) * /** @type {number} */ (unitMs));
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+/** @param {unknown} error */
+function errorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+const MARKDOWN_ACCEPT = "text/markdown, text/plain;q=0.9, */*;q=0.1";
+const OPENAPI_ACCEPT = "application/json, application/yaml;q=0.9, text/yaml;q=0.9";
+
+/**
+ * @typedef {Object} FetchStats
+ * @property {number | null} status HTTP status of the last response.
+ * @property {boolean} notModified Served from cache after a 304.
+ * @property {number} bytes Size of the document text.
+ */
+
+/**
+ * Fetches a document, revalidating any cached copy with `If-None-Match` /
+ * `If-Modified-Since`. Returns null for non-2xx responses.
+ * @param {{
+ * url: string;
+ * accept: string;
+ * cache?: DiscoveryCache;
+ * fetchImpl: typeof fetch;
+ * httpTimeoutMs: number;
+ * stats?: FetchStats;
+ * }} options
+ * @returns {Promise<CachedDocument | null>}
+ */
+export async function fetchDocument({ url, accept, cache, fetchImpl, httpTimeoutMs, stats }) {
+  const cached = cache?.documents.get(url);
+  /** @type {Record<string, string>} */
+  const headers = { Accept: accept };
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const { res, text } = await fetchWithTimeout(
+    fetchImpl,
+    url,
+    { method: "GET", headers },
+    httpTimeoutMs,
+    undefined,
+    async (res) => ({ res, text: res.ok ? await res.text() : null }),
+  );
+  if (stats) stats.status = res.status;
+  if (res.status === 304 && cached) {
+    if (stats) {
+      stats.notModified = true;
+      stats.bytes = Buffer.byteLength(cached.text);
+    }
+    return cached;
+  }
+  if (text === null) {
+    cache?.documents.delete(url);
+    return null;
+  }
+
+  if (stats) stats.bytes = Buffer.byteLength(text);
+  /** @type {CachedDocument} */
+  const doc = {
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+    text,
+    hash: crypto.createHash("sha256").update(text).digest("hex"),
+    parsed: null,
+  };
+  cache?.documents.set(url, doc);
+  return doc;
+}
+
+/**
+ * Parses a document once per `key`; unchanged (304) documents reuse the result.
+ * @template T
+ * @param {CachedDocument} doc
+ * @param {string} key
+ * @param {(text: string) => T} parse
+ * @returns {T}
+ */
+function parseCachedDocument(doc, key, parse) {
+  if (doc.parsed?.key !== key) {
+    doc.parsed = { key, value: parse(doc.text) };
+  }
+  return doc.parsed.value;
+}
+
+/**
+ * Runs `fn` over `items` with at most `limit` calls in flight, preserving order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Compares the registered endpoint tools with a fresh discovery result.
+ * @param {Map<string, EndpointTool>} previous
+ * @param {EndpointTool[]} next
+ */
+export function diffEndpointTools(previous, next) {
+  /** @type {EndpointTool[]} */
+  const added = [];
+  /** @type {EndpointTool[]} */
+  const changed = [];
+  const seen = new Set();
+
+  for (const endpoint of next) {
+    seen.add(endpoint.toolName);
+    const existing = previous.get(endpoint.toolName);
+    if (!existing) {
+      added.push(endpoint);
+    } else if (JSON.stringify(existing) !== JSON.stringify(endpoint)) {
+      changed.push(endpoint);
+    }
+  }
+
+  const removed = [...previous.keys()].filter((toolName) => !seen.has(toolName));
+  return { added, removed, changed };
+}
+
+/**
+ * @param {any} spec
+ * @param {string} serviceId
+ * @param {string} baseUrl
+ * @param {ServiceInfo} [service]
+ * @param {DroppedEndpoint[]} [dropped]
+ * @returns {EndpointTool[]}
+ */
+export function extractEndpointsFromOpenApi(spec, serviceId, baseUrl, service, dropped) {
+  return extractOperationsFromOpenApi(spec)
+    .map((operation) => endpointFromOperation(operation, serviceId, baseUrl, service, dropped))
+    .filter((endpoint) => endpoint !== null);
+}
+
+/**
+ * @param {import("./openapi.mjs").OpenApiOperation} operation
+ * @param {string} serviceId
+ * @param {string} baseUrl
+ * @param {ServiceInfo} [service]
+ * @param {DroppedEndpoint[]} [dropped]
+ * @returns {EndpointTool | null}
+ */
+function endpointFromOperation(operation, serviceId, baseUrl, service, dropped) {
+  const path = normalizeDiscoveredPath(operation.path, baseUrl);
+  if (!path) {
+    dropped?.push({ method: operation.method, path: operation.path });
+    return null;
+  }
+  return buildEndpointTool(serviceId, operation.method, path, {
+    source: "openapi",
+    operationId: operation.operationId,
+    summary: operation.summary,
+    description: operation.description,
+    service,
+    schemas: operation.schemas,
+  });
+}
+
+/**
+ * Assigns an operation from a server-wide spec to a service by tag, then by path segment.
+ * @param {import("./openapi.mjs").OpenApiOperation} operation
+ * @param {Set<string>} serviceIds
+ */
+function serviceIdForOperation(operation, serviceIds) {
+  for (const tag of operation.tags) {
+    const id = safeServiceId(tag);
+    if (id && serviceIds.has(id)) return id;
+  }
+  return operation.path.split("/").find((segment) => serviceIds.has(segment)) ?? "core";
+}
+
+/**
+ * @param {{ docsUrl: string; fetchImpl: typeof fetch; httpTimeoutMs: number }} options
+ */
+export async function fetchDocsMarkdown({ docsUrl, fetchImpl, httpTimeoutMs }) {
+  const doc = await fetchDocument({
+    url: docsUrl,
+    accept: MARKDOWN_ACCEPT,
+    fetchImpl,
+    httpTimeoutMs,
+  });
+  return doc ? doc.text : "";
+}
+
+/**
+ * @typedef {Object} ServiceInfo
+ * @property {string | null} name
+ * @property {string | null} description
+ */
+
+/**
+ * @typedef {{ type: 'heading'; text: string }
+ *   | { type: 'prose'; text: string }
+ *   | { type: 'code'; block: string; lang: string; content: string }} MarkdownItem
+ */
+
+/**
+ * Splits markdown into headings, prose paragraphs and fenced code blocks, in order.
+ * @param {string} markdown
+ * @returns {MarkdownItem[]}
+ */
+export function splitMarkdown(markdown) {
+  /** @type {MarkdownItem[]} */
+  const items = [];
+  /** @param {string} text */
+  const pushText = (text) => {
+    let paragraph = [];
+    const flush = () => {
+      if (paragraph.length > 0) {
+        items.push({ type: "prose", text: paragraph.join(" ") });
+        paragraph = [];
+      }
+    };
+    for (const line of text.split("\n")) {
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)[\s#]*$/);
+      if (heading) {
+        flush();
+        items.push({ type: "heading", text: heading[1] });
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        paragraph.push(line.trim());
+      }
+    }
+    flush();
+  };
+
+  let cursor = 0;
+  for (const match of markdown.matchAll(/```([^\n`]*)\n?([\s\S]*?)```/g)) {
+    pushText(markdown.slice(cursor, match.index));
+    items.push({
+      type: "code",
+      block: match[0],
+      lang: match[1].trim().toLowerCase(),
+      content: match[2],
+    });
+    cursor = match.index + match[0].length;
+  }
+  pushText(markdown.slice(cursor));
+  return items;
+}
+
+/**
+ * Describes the code block at `index`: its nearest heading, the prose right
+ * before it (or the section intro), and any pricing sentence in its section.
+ * @param {MarkdownItem[]} items
+ * @param {number} index
+ */
+export function markdownContextAt(items, index) {
+  let sectionStart = 0;
+  let heading = null;
+  for (let i = index - 1; i >= 0; i -= 1) {
+    const item = items[i];
+    if (item.type === "heading") {
+      heading = item.text;
+      sectionStart = i + 1;
+      break;
+    }
+  }
+  let sectionEnd = items.findIndex((item, i) => i > index && item.type === "heading");
+  if (sectionEnd === -1) sectionEnd = items.length;
+
+  const nearby = [];
+  for (let i = index - 1; i >= sectionStart && items[i].type === "prose"; i -= 1) {
+    nearby.unshift(items[i].text);
+  }
+  const sectionProse = items
+    .slice(sectionStart, sectionEnd)
+    .filter((item) => item.type === "prose")
+    .map((item) => item.text);
+  const prose = nearby.length > 0 ? nearby : sectionProse.slice(0, 1);
+
+  const cost = sectionProse
+    .flatMap((text) => text.split(/(?<=[.!?])\s+/))
+    .find((sentence) => COST_PATTERN.test(sentence));
+
+  return {
+    heading,
+    prose: truncate(prose.join(" "), 500) || null,
+    cost: cost && !prose.some((text) => text.includes(cost)) ? cost : null,
+  };
+}
+
+const COST_PATTERN = /(\$\s?\d|\bcosts?\b|\bfees?\b|\bpric(e|ed|ing)\b|\bcharged?\b|\bcredits?\b)/i;
+
+/**
+ * @param {string} text
+ * @param {number} max
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+/**
+ * @param {string} markdown
+ * @param {string} serviceId
+ * @param {string} baseUrl
+ * @param {ServiceInfo} [service]
+ * @param {DroppedEndpoint[]} [dropped] Collects endpoints rejected by `normalizeDiscoveredPath`.
+ * @returns {EndpointTool[]}
+ */
+export function extractEndpointsFromMarkdown(markdown, serviceId, baseUrl, service, dropped) {
+  /** @type {EndpointTool[]} */
+  const endpoints = [];
+  if (!markdown) return endpoints;
+
+  const items = splitMarkdown(markdown);
+
+  for (const [index, item] of items.entries()) {
+    if (item.type !== "code") continue;
+    const { block, lang, content } = item;
+    if (lang === "json" || (!lang && content.trim().startsWith("{"))) {
+      // A fenced JSON example documents the body of the endpoint shown just
+      // before it, unless it is labelled as that endpoint's response.
+      const example = parseJsonObject(content);
+      const target = endpoints.at(-1);
+      if (
+        example &&
+        target &&
+        target.method !== "GET" &&
+        !target.bodyExample &&
+        !isLabelledAsResponse(items, index)
+      ) {
+        target.bodyExample = example;
+      }
+      continue;
+    }
+
+    const context = { ...markdownContextAt(items, index), service };
+    for (const found of extractEndpointsFromCodeBlock(content, baseUrl, dropped)) {
+      endpoints.push(
+        buildEndpointTool(serviceId, found.method, found.path, {
+          ...context,
+          bodyExample: found.bodyExample,
+          headerExample: found.headerExample,
+        }),
+      );
     }
   }
 
-  return [...found.values()].sort((a, b) => a.toolName.localeCompare(b.toolName));
+  return endpoints;
 }
 
+const RESPONSE_LABEL = /\b(responses?|returns?|output|results?)\b/i;
+
 /**
- * @param {{ docsUrl: string; fetchImpl: typeof fetch; httpTimeoutMs: number }} options
+ * Whether the code block at `index` is labelled as a response or output, by
+ * the last sentence right before it or by a heading since the previous block.
+ * @param {MarkdownItem[]} items
+ * @param {number} index
  */
-export async function fetchDocsMarkdown({ docsUrl, fetchImpl, httpTimeoutMs }) {
-  const res = await fetchWithTimeout(fetchImpl, docsUrl, {
-    method: "GET",
-    headers: { Accept: "text/markdown, text/plain;q=0.9, */*;q=0.1" },
-  }, httpTimeoutMs);
-
-  if (!res.ok) {
-    return "";
+function isLabelledAsResponse(items, index) {
+  const previous = items[index - 1];
+  if (previous?.type === "prose") {
+    const label = previous.text.split(/(?<=[.!?:])\s+/).at(-1) ?? "";
+    if (RESPONSE_LABEL.test(label)) return true;
   }
-
-  return res.text();
+  for (let i = index - 1; i >= 0 && items[i].type !== "code"; i -= 1) {
+    const item = items[i];
+    if (item.type === "heading") return RESPONSE_LABEL.test(item.text);
+  }
+  return false;
 }
 
 /**
- * @param {string} markdown
- * @param {string} serviceId
+ * Finds endpoints in one code block, in source order: curl invocations (with
+ * their headers and JSON payloads) and bare `METHOD /path` lines.
+ * @param {string} content
  * @param {string} baseUrl
- * @returns {EndpointTool[]}
+ * @param {DroppedEndpoint[]} [dropped]
  */
-export function extractEndpointsFromMarkdown(markdown, serviceId, baseUrl) {
-  const endpoints = [];
-  if (!markdown) return endpoints;
-
-  const codeBlocks = [...markdown.matchAll(/```[\s\S]*?```/g)].map((m) => m[0]);
-
-  for (const block of codeBlocks) {
-    const directEndpointMatches = block.matchAll(
-      /\b(GET|POST|PUT|PATCH|DELETE)\s+(https?:\/\/[^\s\\`]+|\/[^\s\\`]+)/g,
-    );
+export function extractEndpointsFromCodeBlock(content, baseUrl, dropped) {
+  /** @type {Array<{ index: number; method: string; path: string; bodyExample: Record<string, unknown> | null; headerExample: Record<string, string> | null }>} */
+  const found = [];
+  let plain = content;
+
+  for (const command of extractCurlCommands(content)) {
+    // Blank out curl commands so the bare-line pass does not count them twice.
+    plain =
+      plain.slice(0, command.start) +
+      " ".repeat(command.end - command.start) +
+      plain.slice(command.end);
+
+    const parsed = parseCurlArgs(command.args);
+    if (!parsed || !SUPPORTED_METHODS.includes(parsed.method)) continue;
+    const path = normalizeDiscoveredPath(parsed.url, baseUrl);
+    if (!path) {
+      dropped?.push({ method: parsed.method, path: parsed.url });
+      continue;
+    }
+    found.push({
+      index: command.start,
+      method: parsed.method,
+      path,
+      bodyExample: parsed.json,
+      headerExample: Object.keys(parsed.headers).length > 0 ? parsed.headers : null,
+    });
+  }
 
-    for (const match of directEndpointMatches) {
-      const method = match[1];
-      const rawPath = match[2];
-      const path = normalizeDiscoveredPath(rawPath, baseUrl);
-      if (!path) continue;
-      endpoints.push(buildEndpointTool(serviceId, method, path));
+  for (const match of plain.matchAll(
+    /\b(GET|POST|PUT|PATCH|DELETE)\s+(https?:\/\/[^\s\\`]+|\/[^\s\\`]+)/g,
+  )) {
+    const path = normalizeDiscoveredPath(match[2], baseUrl);
+    if (!path) {
+      dropped?.push({ method: match[1], path: match[2] });
+      continue;
     }
+    found.push({
+      index: /** @type {number} */ (match.index),
+      method: match[1],
+      path,
+      bodyExample: null,
+      headerExample: null,
+    });
+  }
 
-    const curlMatches = block.matchAll(
-      /\bcurl\b[\s\S]*?\b-X\s+(GET|POST|PUT|PATCH|DELETE)\s+(https?:\/\/[^\s\\`]+|\/[^\s\\`]+)/g,
-    );
+  return found.sort((a, b) => a.index - b.index);
+}
 
-    for (const match of curlMatches) {
-      const method = match[1];
-      const rawPath = match[2];
-      const path = normalizeDiscoveredPath(rawPath, baseUrl);
-      if (!path) continue;
-      endpoints.push(buildEndpointTool(serviceId, method, path));
-    }
+/**
+ * Pulls the JSON payload out of a curl `-d`/`--data`/`--data-raw`/`--json` argument.
+ * @param {string} command
+ * @returns {Record<string, unknown> | null}
+ */
+export function extractCurlJsonBody(command) {
+  return parseCurlCommand(command)?.json ?? null;
+}
+
+/**
+ * Whether a discovery cache entry has the shape registration relies on.
+ * @param {any} entry
+ * @returns {entry is EndpointTool}
+ */
+function isCachedEndpoint(entry) {
+  if (!isPlainObject(entry)) return false;
+  if (
+    typeof entry.toolName !== "string" ||
+    !/^[A-Za-z0-9._-]{1,128}$/.test(entry.toolName) ||
+    typeof entry.title !== "string" ||
+    typeof entry.description !== "string" ||
+    !SUPPORTED_METHODS.includes(entry.method) ||
+    typeof entry.path !== "string" ||
+    !entry.path.startsWith("/") ||
+    typeof entry.serviceId !== "string" ||
+    (entry.pathParams != null &&
+      !(Array.isArray(entry.pathParams) && entry.pathParams.every((p) => typeof p === "string"))) ||
+    (entry.bodyExample != null && !isPlainObject(entry.bodyExample)) ||
+    (entry.headerExample != null && !isPlainObject(entry.headerExample)) ||
+    (entry.schemas != null && !isPlainObject(entry.schemas))
+  ) {
+    return false;
+  }
+  try {
+    buildEndpointInputSchema(entry);
+    return true;
+  } catch {
+    return false;
   }
+}
 
-  return endpoints;
+/** @param {unknown} value */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
 }
 
+/**
+ * @typedef {Object} EndpointDetails
+ * @property {Record<string, unknown> | null} [bodyExample]
+ * @property {Record<string, string> | null} [headerExample]
+ * @property {'markdown' | 'openapi'} [source]
+ * @property {string | null} [operationId]
+ * @property {string | null} [summary]
+ * @property {string | null} [description]
+ * @property {string | null} [heading]
+ * @property {string | null} [prose]
+ * @property {string | null} [cost]
+ * @property {ServiceInfo} [service]
+ * @property {import("./openapi.mjs").OpenApiSchemas | null} [schemas]
+ */
+
 /**
  * @param {string} serviceId
  * @param {string} method
  * @param {string} path
+ * @param {EndpointDetails} [details]
  * @returns {EndpointTool}
  */
-export function buildEndpointTool(serviceId, method, path) {
+export function buildEndpointTool(serviceId, method, path, details = {}) {
   return {
-    toolName: toToolName(serviceId, method, path),
-    title: `${serviceId.toUpperCase()} ${method} ${path}`,
-    description: `Passthrough to ${method} ${path} on Ottoauth.`,
+    toolName: details.operationId
+      ? toOperationToolName(serviceId, details.operationId)
+      : toToolName(serviceId, method, path),
+    title: details.summary || `${serviceId.toUpperCase()} ${method} ${path}`,
+    description: describeEndpoint(method, path, details),
     method,
     path,
     serviceId,
+    pathParams: extractPathParams(path),
+    bodyExample: details.bodyExample ?? null,
+    headerExample: details.headerExample ?? null,
+    source: details.source ?? "markdown",
+    operationId: details.operationId ?? null,
+    schemas: details.schemas ?? null,
+  };
+}
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {EndpointDetails} details
+ */
+export function describeEndpoint(method, path, details) {
+  const lines = [];
+  const summary = details.summary ?? details.heading;
+  const about = details.description ?? details.prose;
+  if (summary && about) {
+    lines.push(`${summary}: ${about}`);
+  } else if (summary || about) {
+    lines.push(summary || about);
+  }
+  if (details.cost) {
+    lines.push(`Cost: ${details.cost}`);
+  }
+  const service = details.service;
+  if (service?.name || service?.description) {
+    lines.push(
+      `Service: ${[service.name, service.description].filter(Boolean).join(" - ")}`,
+    );
+  }
+  lines.push(`Passthrough to ${method} ${path} on Ottoauth.`);
+  return lines.join("\n");
+}
+
+/**
+ * @param {unknown} service
+ * @returns {ServiceInfo}
+ */
+export function serviceInfoFrom(service) {
+  const s = /** @type {any} */ (service);
+  return {
+    name: typeof s?.name === "string" && s.name.trim() ? s.name.trim() : null,
+    description:
+      typeof s?.description === "string" && s.description.trim()
+        ? s.description.trim()
+        : null,
+  };
+}
+
+/** @param {string} serviceId */
+export function serviceDocsUri(serviceId) {
+  return `${SERVICES_INDEX_URI}/${serviceId}/docs`;
+}
+
+/**
+ * @param {ServiceDocs} docs
+ * @param {ServiceInfo} [service]
+ */
+export function serviceDocsMetadata(docs, service) {
+  const name = service?.name ?? docs.serviceId;
+  return {
+    title: `${name} docs`,
+    description: truncate(
+      [`Ottoauth documentation for the ${name} service.`, service?.description]
+        .filter(Boolean)
+        .join(" "),
+      500,
+    ),
+    mimeType: docs.mimeType,
+  };
+}
+
+/**
+ * @typedef {Object} ServiceSummary
+ * @property {string} serviceId
+ * @property {ServiceInfo | null} service
+ * @property {ServiceDocs | null} docs
+ * @property {EndpointTool[]} endpoints
+ */
+
+/** @param {string} serviceId */
+export function servicePromptName(serviceId) {
+  return `use_${serviceId}_service`;
+}
+
+/**
+ * Prompt text priming an agent for one service: what it is, the tools with
+ * their argument conventions, and the full docs.
+ * @param {ServiceSummary & { task?: string; lazyTools?: boolean }} summary
+ */
+export function buildServicePrompt({ serviceId, service, docs, endpoints, task, lazyTools }) {
+  const name = service?.name ?? serviceId;
+  const lines = [
+    `You are using the Ottoauth ${name} service (id: ${serviceId}).`,
+  ];
+  if (service?.description) lines.push(service.description);
+
+  lines.push("", "## Tools");
+  if (endpoints.length === 0) {
+    lines.push("No endpoint-specific tools were discovered for this service.");
+  }
+  for (const endpoint of endpoints) {
+    lines.push(`- \`${endpoint.toolName}\`: ${endpoint.method} ${endpoint.path} - ${endpoint.title}`);
+    if (endpoint.pathParams.length > 0) {
+      lines.push(`  - path_params (required): ${endpoint.pathParams.join(", ")}`);
+    }
+    if (endpoint.bodyExample) {
+      lines.push(`  - body example: ${JSON.stringify(endpoint.bodyExample)}`);
+    }
+    if (endpoint.headerExample) {
+      lines.push(`  - documented headers: ${Object.keys(endpoint.headerExample).join(", ")}`);
+    }
+  }
+
+  lines.push("", "## Calling conventions");
+  if (lazyTools) {
+    lines.push(
+      "- These tools are not listed directly: call them with `ottoauth_invoke` (`tool_name` plus `arguments`) and check `ottoauth_describe_tool` for their input schema.",
+    );
+  }
+  lines.push(
+    "- Put values for `:placeholders` in the path into `path_params`, keyed by placeholder name.",
+    "- Pass the JSON request body as `body` and query string values as `query`; do not encode them into the path.",
+    "- Extra HTTP headers (for example auth headers shown in the docs) go in `headers`.",
+    "- Results are the HTTP response as JSON (`ok`, `status`, `body`); a non-2xx status is reported as an error.",
+    "- If no tool fits, call `ottoauth_http_request` with the method and absolute `/api/...` path from the docs.",
+  );
+
+  if (docs) {
+    lines.push("", `## Documentation (${docs.url})`, "", docs.text.trim());
+  }
+  if (task) {
+    lines.push("", "## Task", "", task.trim());
+  }
+
+  return lines.join("\n");
+}
+
+/** @param {ServiceSummary[]} services */
+export function buildOverviewPrompt(services) {
+  const lines = [
+    "You have access to Ottoauth, which performs real-world actions through per-service HTTP endpoints.",
+    "",
+    "## Services",
+  ];
+  if (services.length === 0) {
+    lines.push("No services have been discovered yet.");
+  }
+  for (const { serviceId, service, docs, endpoints } of services) {
+    const about = service?.description ? `: ${service.description}` : "";
+    const prompt =
+      endpoints.length > 0 || docs ? `, prompt \`${servicePromptName(serviceId)}\`` : "";
+    lines.push(
+      `- ${service?.name ?? serviceId} (\`${serviceId}\`, ${endpoints.length} tools${prompt})${about}`,
+    );
+  }
+  lines.push(
+    "",
+    "## Generic tools",
+    "- `ottoauth_create_account` creates an agent account and returns its credentials.",
+    "- `ottoauth_http_request` calls any Ottoauth endpoint when no specific tool fits.",
+    `- Read \`${SERVICES_INDEX_URI}\` and \`${SERVICES_INDEX_URI}/{id}/docs\` for service documentation.`,
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Keeps the richer of two discoveries of the same METHOD + path.
+ * @param {EndpointTool | undefined} existing
+ * @param {EndpointTool} next
+ * @returns {EndpointTool}
+ */
+export function mergeEndpointTools(existing, next) {
+  if (!existing) return next;
+  if (existing.source === "openapi" && next.source !== "openapi") return existing;
+  return {
+    ...next,
+    bodyExample: next.bodyExample ?? existing.bodyExample,
+    headerExample: next.headerExample ?? existing.headerExample,
   };
 }
 
 /**
+ * Builds the MCP input schema for one endpoint. Path params become required
+ * named fields and body properties are typed from the docs example; anything
+ * that cannot be inferred keeps the generic free-form shape.
+ * @param {EndpointTool} endpoint
+ */
+export function buildEndpointInputSchema(endpoint) {
+  if (endpoint.schemas) {
+    return buildSchemaFromOpenApi(endpoint.schemas);
+  }
+
+  const pathParams = endpoint.pathParams ?? extractPathParams(endpoint.path);
+  const bodyExample = endpoint.bodyExample ?? null;
+  const documentedHeaders = Object.keys(endpoint.headerExample ?? {}).filter(
+    (name) => !["content-type", "accept"].includes(name.toLowerCase()),
+  );
+  if (pathParams.length === 0 && !bodyExample && documentedHeaders.length === 0) {
+    return endpointInputSchema;
+  }
+
+  const schema = { ...endpointInputSchema };
+  if (pathParams.length > 0) {
+    schema.path_params = z
+      .object(
+        Object.fromEntries(
+          pathParams.map((name) => [
+            name,
+            z
+              .union([z.string(), z.number()])
+              .describe(`Value for :${name} in ${endpoint.path}.`),
+          ]),
+        ),
+      )
+      .describe(`Values for path placeholders: ${pathParams.join(", ")}.`);
+  }
+  if (bodyExample) {
+    schema.body = inferSchemaFromExample(bodyExample)
+      .optional()
+      .describe("JSON body to forward to Ottoauth. Fields are inferred from the docs example.");
+  }
+  if (documentedHeaders.length > 0) {
+    schema.headers = endpointInputSchema.headers.describe(
+      `Optional additional HTTP headers. The docs example sends: ${documentedHeaders.join(", ")}.`,
+    );
+  }
+  return schema;
+}
+
+/**
+ * JSON Schema of an endpoint's input, as clients would see it in `tools/list`.
+ * @param {EndpointTool} endpoint
+ * @param {Record<string, z.ZodType>} [extraShape] Server-wide arguments such as `profile` or `timeout_ms`.
+ */
+export function endpointInputJsonSchema(endpoint, extraShape = {}) {
+  return z.toJSONSchema(z.object({ ...buildEndpointInputSchema(endpoint), ...extraShape }), {
+    unrepresentable: "any",
+  });
+}
+
+/**
+ * Ranks endpoints by how many query terms hit their name, path, title or
+ * description; a hit in the service docs counts a little too.
+ * @param {EndpointTool[]} endpoints
+ * @param {string} query
+ * @param {{ serviceId?: string | null; limit?: number; docsByService?: Map<string, string> }} [options]
+ */
+export function searchEndpointTools(endpoints, query, options = {}) {
+  const terms = [...new Set(query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean))];
+  const docsByService = options.docsByService ?? new Map();
+  const results = [];
+
+  for (const endpoint of endpoints) {
+    if (options.serviceId && endpoint.serviceId !== options.serviceId) continue;
+    const fields = [
+      [endpoint.toolName.toLowerCase(), 3],
+      [endpoint.path.toLowerCase(), 3],
+      [endpoint.serviceId, 2],
+      [endpoint.title.toLowerCase(), 2],
+      [endpoint.description.toLowerCase(), 1],
+      [(docsByService.get(endpoint.serviceId) ?? "").toLowerCase(), 0.25],
+    ];
+    let score = 0;
+    for (const term of terms) {
+      const best = Math.max(
+        0,
+        ...fields.map(([text, weight]) => (text.includes(term) ? Number(weight) : 0)),
+      );
+      score += best;
+    }
+    if (score === 0) continue;
+    results.push({
+      toolName: endpoint.toolName,
+      method: endpoint.method,
+      path: endpoint.path,
+      serviceId: endpoint.serviceId,
+      title: endpoint.title,
+      summary: endpoint.description.split("\n")[0],
+      score,
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.toolName.localeCompare(b.toolName))
+    .slice(0, options.limit ?? DEFAULT_SEARCH_LIMIT);
+}
+
+/**
+ * @param {import("./openapi.mjs").OpenApiSchemas} schemas
+ */
+function buildSchemaFromOpenApi(schemas) {
+  const schema = { ...endpointInputSchema };
+  const pathSchema = schemas.path ? jsonSchemaToZod(schemas.path) : null;
+  if (pathSchema) {
+    schema.path_params = pathSchema.describe("Values for path placeholders.");
+  }
+  const querySchema = schemas.query ? jsonSchemaToZod(schemas.query) : null;
+  if (querySchema) {
+    const required = /** @type {any} */ (schemas.query).required ?? [];
+    schema.query = (required.length > 0 ? querySchema : querySchema.optional())
+      .describe("Query string parameters.");
+  }
+  const bodySchema = schemas.body ? jsonSchemaToZod(schemas.body) : null;
+  if (bodySchema) {
+    schema.body = (schemas.bodyRequired ? bodySchema : bodySchema.optional())
+      .describe("JSON request body.");
+  }
+  return schema;
+}
+
+/**
+ * @param {Record<string, unknown>} jsonSchema
+ * @returns {z.ZodType | null}
+ */
+function jsonSchemaToZod(jsonSchema) {
+  try {
+    return z.fromJSONSchema(/** @type {any} */ (jsonSchema));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {unknown} example
+ * @returns {z.ZodType}
+ */
+export function inferSchemaFromExample(example) {
+  if (typeof example === "string") return z.string();
+  if (typeof example === "number") return z.number();
+  if (typeof example === "boolean") return z.boolean();
+  if (Array.isArray(example)) {
+    return z.array(example.length > 0 ? inferSchemaFromExample(example[0]) : z.unknown());
+  }
+  if (isPlainObject(example)) {
+    const shape = {};
+    for (const [key, value] of Object.entries(example)) {
+      let field = inferSchemaFromExample(value).optional();
+      if (value !== null && typeof value !== "object") {
+        field = field.describe(`Example: ${JSON.stringify(value)}`);
+      }
+      shape[key] = field;
+    }
+    return z.object(shape).passthrough();
+  }
+  return z.unknown();
+}
+
+/** @param {string} pathTemplate */
+export function extractPathParams(pathTemplate) {
+  return [...pathTemplate.matchAll(/:([A-Za-z0-9_]+)/g)].map((m) => m[1]);
+}
+
+/**
+ * Sends one request to Ottoauth. Mutating methods carry an `Idempotency-Key`:
+ * the caller's header or `idempotencyKey`, else one derived from `requestId`;
+ * it is echoed in the result. Retryable requests (see `isRetryableRequest`)
+ * are repeated on network errors, timeouts, 429 and transient 5xx responses
+ * per `retry`, honouring `Retry-After`; the attempt history is attached to the
+ * result whenever more than one attempt was made. Aborting `signal` cancels the
+ * request in flight and any pending retry. Bodies that are neither
+ * JSON nor text are returned base64-encoded.
  * @param {{
  * baseUrl: string;
  * method: string;
@@ -529,6 +3002,11 @@ export function buildEndpointTool(serviceId, method, path) {
  * query?: Record<string, unknown>;
  * body?: Record<string, unknown>;
  * headers?: Record<string, string>;
+ * credential?: import("./vault.mjs").AgentCredential | null;
+ * idempotencyKey?: string;
+ * requestId?: string | number;
+ * retry?: import("./retry.mjs").RetryPolicy;
+ * signal?: AbortSignal;
  * fetchImpl: typeof fetch;
  * httpTimeoutMs: number;
  * }} input
@@ -540,16 +3018,166 @@ export async function forwardRequest({
   query,
   body,
   headers,
+  credential,
+  idempotencyKey,
+  requestId,
+  retry = NO_RETRY_POLICY,
+  signal,
   fetchImpl,
   httpTimeoutMs,
 }) {
-  const url = new URL(path, `${baseUrl}/`);
+  const {
+    url,
+    headers: requestHeaders,
+    shouldSendBody,
+    payload,
+    idempotencyKey: sentIdempotencyKey,
+    idempotencyKeySupplied,
+  } = prepareRequest({
+    baseUrl,
+    method,
+    path,
+    query,
+    body,
+    headers,
+    credential,
+    idempotencyKey,
+    requestId,
+  });
+  // A derived key does not make a mutation safe to repeat; only one the caller chose does.
+  const maxAttempts = isRetryableRequest(method, idempotencyKeySupplied ? requestHeaders : {})
+    ? retry.maxAttempts
+    : 1;
+  /** @type {import("./retry.mjs").AttemptRecord[]} */
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt += 1) {
+    const startedAt = Date.now();
+    /** @type {import("./retry.mjs").AttemptRecord} */
+    const record = { attempt, status: null, error: null, durationMs: 0, retryInMs: null };
+    attempts.push(record);
+
+    /** @type {number | null} */
+    let retryInMs = null;
+    let res;
+    let read;
+    try {
+      ({ res, read } = await fetchWithTimeout(fetchImpl, url.toString(), {
+        method,
+        headers: requestHeaders,
+        body: shouldSendBody ? JSON.stringify(payload ?? {}) : undefined,
+      }, httpTimeoutMs, signal, async (response) => {
+        retryInMs = attempt < maxAttempts ? retryDelayMs(retry, attempt, response) : null;
+        if (retryInMs !== null) {
+          await response.arrayBuffer().catch(() => undefined);
+          return { res: response, read: null };
+        }
+        return { res: response, read: await readResponseBody(response) };
+      }));
+    } catch (error) {
+      record.durationMs = Date.now() - startedAt;
+      record.error = errorMessage(error);
+      // The caller gave up; retrying would only do work nobody is waiting for.
+      if (signal?.aborted) throw error;
+      if (attempt >= maxAttempts) {
+        if (attempts.length > 1) {
+          throw Object.assign(
+            new Error(`${method} ${url.pathname} failed after ${attempts.length} attempts: ${record.error}`),
+            { attempts },
+          );
+        }
+        throw error;
+      }
+      record.retryInMs = backoffDelayMs(retry, attempt);
+      await sleep(record.retryInMs, signal);
+      continue;
+    }
+
+    record.status = res.status;
+    record.durationMs = Date.now() - startedAt;
+    if (!read) {
+      record.retryInMs = retryInMs;
+      await sleep(Number(retryInMs), signal);
+      continue;
+    }
+
+    return {
+      ok: res.ok,
+      status: res.status,
+      statusText: res.statusText,
+      url: url.toString(),
+      ...read,
+      ...(sentIdempotencyKey !== undefined ? { idempotencyKey: sentIdempotencyKey } : {}),
+      ...(attempts.length > 1 ? { attempts } : {}),
+    };
+  }
+}
+
+/**
+ * How long to wait before retrying `res`, or null when it should be returned as is.
+ * @param {import("./retry.mjs").RetryPolicy} retry
+ * @param {number} attempt
+ * @param {Response} res
+ */
+function retryDelayMs(retry, attempt, res) {
+  if (!isRetryableStatus(res.status)) return null;
+  const retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+  // A server asking for a longer pause than we are willing to wait gets its answer back.
+  if (retryAfterMs !== null && retryAfterMs > retry.maxDelayMs) return null;
+  return retryAfterMs ?? backoffDelayMs(retry, attempt);
+}
 
+/**
+ * Decodes a response body by content type.
+ * @param {Response} res
+ * @returns {Promise<{ contentType: string; body: unknown; bodyEncoding?: 'base64'; bytes?: number }>}
+ */
+async function readResponseBody(res) {
+  const contentType = res.headers.get("content-type") ?? "";
+  if (contentType.includes("application/json")) {
+    return { contentType, body: await res.json() };
+  }
+  if (isTextContentType(contentType)) {
+    return { contentType, body: await res.text() };
+  }
+  // Decoding images or PDFs as text corrupts them; keep the raw bytes.
+  const bytes = Buffer.from(await res.arrayBuffer());
+  return { contentType, body: bytes.toString("base64"), bodyEncoding: "base64", bytes: bytes.length };
+}
+
+/**
+ * @param {string} baseUrl
+ * @param {string} path
+ * @param {Record<string, unknown>} [query] Null and undefined values are skipped.
+ */
+export function buildRequestUrl(baseUrl, path, query) {
+  const url = new URL(path, `${baseUrl}/`);
   for (const [key, value] of Object.entries(query ?? {})) {
     if (value === null || value === undefined) continue;
     url.searchParams.set(key, String(value));
   }
+  return url;
+}
+
+/**
+ * Resolves everything `forwardRequest` sends: the URL, default and
+ * idempotency headers, and the body with credentials filled in.
+ * @param {{
+ * baseUrl: string;
+ * method: string;
+ * path: string;
+ * query?: Record<string, unknown>;
+ * body?: unknown;
+ * headers?: Record<string, string>;
+ * credential?: import("./vault.mjs").AgentCredential | null;
+ * idempotencyKey?: string;
+ * requestId?: string | number;
+ * }} input
+ */
+export function prepareRequest({ baseUrl, method, path, query, body, headers, credential, idempotencyKey, requestId }) {
+  const url = buildRequestUrl(baseUrl, path, query);
 
+  /** @type {Record<string, string>} */
   const requestHeaders = {
     Accept: "application/json, text/plain;q=0.9, */*;q=0.8",
     ...(headers ?? {}),
@@ -561,35 +3189,73 @@ export async function forwardRequest({
       requestHeaders["Content-Type"] ?? "application/json";
   }
 
-  const res = await fetchWithTimeout(fetchImpl, url.toString(), {
-    method,
-    headers: requestHeaders,
-    body: shouldSendBody ? JSON.stringify(body ?? {}) : undefined,
-  }, httpTimeoutMs);
+  const payload = shouldSendBody && credential ? applyCredential(body, credential) : body;
 
-  const contentType = res.headers.get("content-type") ?? "";
-  const isJson = contentType.includes("application/json");
-  const responseBody = isJson ? await res.json() : await res.text();
+  /** @type {string | undefined} */
+  let sentIdempotencyKey;
+  let idempotencyKeySupplied = false;
+  if (IDEMPOTENT_KEY_METHODS.includes(method)) {
+    sentIdempotencyKey = headerValue(requestHeaders, IDEMPOTENCY_HEADER) ?? idempotencyKey;
+    idempotencyKeySupplied = sentIdempotencyKey !== undefined;
+    if (sentIdempotencyKey === undefined) {
+      sentIdempotencyKey = deriveIdempotencyKey({ requestId, method, url: url.toString() });
+    }
+    if (headerValue(requestHeaders, IDEMPOTENCY_HEADER) === undefined) {
+      requestHeaders[IDEMPOTENCY_HEADER] = sentIdempotencyKey;
+    }
+  }
+
+  return {
+    url,
+    headers: requestHeaders,
+    shouldSendBody,
+    payload,
+    idempotencyKey: sentIdempotencyKey,
+    idempotencyKeySupplied,
+  };
+}
 
+/**
+ * The request `forwardRequest` would send, safe to show: secret-looking
+ * headers are redacted and the private key in the body is masked.
+ * @param {Parameters<typeof prepareRequest>[0]} input
+ * @param {(headers: Record<string, string>) => Record<string, string>} [redact]
+ * @returns {import("./approval.mjs").RequestPreview}
+ */
+export function previewRequest(input, redact = redactHeaders) {
+  const prepared = prepareRequest(input);
+  /** @type {unknown} */
+  let body;
+  if (prepared.shouldSendBody) {
+    const sent = prepared.payload ?? {};
+    body =
+      isPlainObject(sent) && typeof sent.private_key === "string"
+        ? { ...sent, private_key: maskSecret(sent.private_key) }
+        : sent;
+  }
   return {
-    ok: res.ok,
-    status: res.status,
-    statusText: res.statusText,
-    url: url.toString(),
-    contentType,
-    body: responseBody,
+    method: input.method,
+    url: prepared.url.toString(),
+    query: Object.fromEntries(prepared.url.searchParams),
+    headers: redact(prepared.headers),
+    body,
   };
 }
 
 /**
- * @param {{ ok: boolean; status: number; statusText: string; url: string; contentType: string; body: unknown }} response
+ * @param {import("./responses.mjs").UpstreamResponse} response
+ * @param {ReturnType<typeof createResponsePager> | null} [pager] Enables truncation of oversized bodies.
  */
-export function responseToMcp(response) {
-  const text = JSON.stringify(response, null, 2);
+export function responseToMcp(response, pager = null) {
+  return formatResponse(response, pager);
+}
+
+/** @param {Record<string, unknown>} payload */
+export function errorToMcp(payload) {
   return {
-    isError: !response.ok,
-    content: [{ type: "text", text }],
-    structuredContent: response,
+    isError: true,
+    content: [{ type: "text", text: JSON.stringify(payload, null, 2) }],
+    structuredContent: payload,
   };
 }
 
@@ -619,6 +3285,38 @@ export function normalizePath(value) {
   return trimmed.replace(/\/{2,}/g, "/");
 }
 
+/**
+ * Splits a passthrough path into the pathname to send, the pathname rules are
+ * matched against, and its inline query. `path` only has dot segments
+ * resolved, so IDs with escapes such as `a%2Fb` reach Ottoauth intact.
+ * `matchPath` also has percent-escapes decoded until it is stable
+ * (`/api/services/%61mazon/x/../buy` becomes `/api/services/amazon/buy`), so
+ * access, approval and budget rules see the endpoint Ottoauth may serve.
+ * Escapes that stand for `?` or `#` stay encoded; the fragment is dropped.
+ * @param {string} value
+ * @returns {{ path: string; matchPath: string; query: Record<string, string> }}
+ */
+export function resolveRequestPath(value) {
+  const normalized = normalizePath(value);
+  const url = new URL(normalized, "http://localhost");
+  let matchPath = url.pathname;
+  for (let round = 0; ; round += 1) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(matchPath).replace(/[?#]/g, encodeURIComponent);
+    } catch {
+      throw new Error(`Path has invalid percent-encoding: ${normalized}`);
+    }
+    const next = new URL(normalizePath(decoded), "http://localhost").pathname;
+    if (next === matchPath) break;
+    if (round === 4) {
+      throw new Error(`Path is percent-encoded too many times: ${normalized}`);
+    }
+    matchPath = next;
+  }
+  return { path: url.pathname, matchPath, query: Object.fromEntries(url.searchParams) };
+}
+
 /**
  * @param {string} method
  * @param {string} path
@@ -635,9 +3333,12 @@ export function isListServicesRequest(method, path) {
  * @param {string} baseUrl
  */
 export function normalizeDiscoveredPath(value, baseUrl) {
-  const url = value.startsWith("http")
-    ? new URL(value)
-    : new URL(value, `${baseUrl}/`);
+  let url;
+  try {
+    url = value.startsWith("http") ? new URL(value) : new URL(value, `${baseUrl}/`);
+  } catch {
+    return null;
+  }
 
   let path = normalizePath(url.pathname);
   if (!path.startsWith("/api/")) return null;
@@ -676,7 +3377,113 @@ export function toToolName(serviceId, method, path) {
     .replace(/_+/g, "_")
     .replace(/^_+|_+$/g, "");
 
-  return `ottoauth_${serviceId}_${method.toLowerCase()}_${normalizedPath}`;
+  return boundToolName(
+    `ottoauth_${serviceId}_${method.toLowerCase()}_${normalizedPath}`,
+    endpointKey(method, path),
+  );
+}
+
+/**
+ * @param {string} serviceId
+ * @param {string} operationId
+ */
+export function toOperationToolName(serviceId, operationId) {
+  const normalized = operationId
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+  return boundToolName(`ottoauth_${serviceId}_${normalized}`, `${serviceId} ${operationId}`);
+}
+
+/**
+ * Makes `name` a valid MCP tool name of at most MAX_TOOL_NAME_LENGTH characters.
+ * Over-long names are truncated and suffixed with a stable hash of `key`.
+ * @param {string} name
+ * @param {string} key
+ */
+export function boundToolName(name, key) {
+  const cleaned = name.replace(/[^A-Za-z0-9_-]/g, "_").replace(/_+/g, "_");
+  if (cleaned.length <= MAX_TOOL_NAME_LENGTH) return cleaned;
+  return withHashSuffix(cleaned, key);
+}
+
+/**
+ * @param {string} name
+ * @param {string} key
+ * @param {number} [hashLength]
+ */
+function withHashSuffix(name, key, hashLength = 8) {
+  const hash = crypto.createHash("sha256").update(key).digest("hex").slice(0, hashLength);
+  const head = name.slice(0, MAX_TOOL_NAME_LENGTH - hash.length - 1).replace(/_+$/, "");
+  return `${head}_${hash}`;
+}
+
+/**
+ * @param {string} method
+ * @param {string} path
+ */
+export function endpointKey(method, path) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Gives every endpoint a unique tool name. An endpoint keeps the name recorded
+ * for it in `aliases` (from earlier refreshes) whenever that name is still
+ * free; other endpoints competing for the same name get a hash suffix derived
+ * from their METHOD + path. `aliases` is updated in place.
+ * @param {EndpointTool[]} endpoints
+ * @param {Map<string, string>} [aliases] endpoint key -> tool name
+ * @returns {{ endpoints: EndpointTool[]; collisions: Array<{ toolName: string; keys: string[] }> }}
+ */
+export function assignToolNames(endpoints, aliases = new Map()) {
+  const entries = endpoints
+    .map((endpoint) => {
+      const key = endpointKey(endpoint.method, endpoint.path);
+      return { key, endpoint, wanted: aliases.get(key) ?? endpoint.toolName };
+    })
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  /** @type {Map<string, typeof entries>} */
+  const byName = new Map();
+  for (const entry of entries) {
+    byName.set(entry.wanted, [...(byName.get(entry.wanted) ?? []), entry]);
+  }
+
+  const taken = new Set();
+  /** @type {Map<string, string>} */
+  const assigned = new Map();
+  const collisions = [];
+  for (const [name, group] of byName) {
+    // Whoever held the name on a previous refresh keeps it.
+    const holder = group.find((entry) => aliases.get(entry.key) === name) ?? group[0];
+    assigned.set(holder.key, name);
+    taken.add(name);
+    if (group.length > 1) {
+      collisions.push({ toolName: name, keys: group.map((entry) => entry.key) });
+    }
+  }
+  for (const [name, group] of byName) {
+    for (const entry of group) {
+      if (assigned.has(entry.key)) continue;
+      let hashLength = 8;
+      let candidate = withHashSuffix(name, entry.key, hashLength);
+      while (taken.has(candidate) && hashLength < 64) {
+        hashLength += 4;
+        candidate = withHashSuffix(name, entry.key, hashLength);
+      }
+      assigned.set(entry.key, candidate);
+      taken.add(candidate);
+    }
+  }
+
+  const named = entries.map(({ key, endpoint }) => {
+    const toolName = /** @type {string} */ (assigned.get(key));
+    aliases.set(key, toolName);
+    return toolName === endpoint.toolName ? endpoint : { ...endpoint, toolName };
+  });
+  return { endpoints: named, collisions };
 }
 
 /** @param {unknown} raw */
@@ -688,17 +3495,36 @@ export function safeServiceId(raw) {
 }
 
 /**
+ * Fetches with a deadline. When `signal` is given, its abort (for example a
+ * cancelled MCP request) also aborts the fetch. Pass `read` to consume the
+ * body: the deadline and `signal` keep applying until it settles, so a body
+ * that stalls after the headers cannot outlive them.
+ * @template [T=Response]
  * @param {typeof fetch} fetchImpl
  * @param {string} url
  * @param {RequestInit} init
  * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @param {(res: Response) => T | Promise<T>} [read] Defaults to returning the response unread.
+ * @returns {Promise<T>}
  */
-export async function fetchWithTimeout(fetchImpl, url, init, timeoutMs) {
+export async function fetchWithTimeout(
+  fetchImpl,
+  url,
+  init,
+  timeoutMs,
+  signal,
+  read = (res) => /** @type {any} */ (res),
+) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort(signal?.reason);
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener("abort", onAbort, { once: true });
   try {
-    return await fetchImpl(url, { ...init, signal: controller.signal });
+    return await read(await fetchImpl(url, { ...init, signal: controller.signal }));
   } finally {
     clearTimeout(timeout);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
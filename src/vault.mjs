@@ -0,0 +1,233 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const VAULT_VERSION = 1;
+const KEY_BYTES = 32;
+
+/**
+ * @typedef {Object} StoredCredential
+ * @property {string} baseUrl Ottoauth instance the account belongs to.
+ * @property {string} username
+ * @property {string} privateKey
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} AgentCredential
+ * @property {string} username
+ * @property {string} privateKey
+ */
+
+/**
+ * Encrypted on-disk store for agent credentials (AES-256-GCM). The key comes
+ * from `passphrase` (scrypt) or, without one, from a random key file created
+ * next to the vault with owner-only permissions.
+ * @param {{
+ * path: string;
+ * passphrase?: string;
+ * logger?: Pick<Console, 'error'>;
+ * }} options
+ */
+export function createCredentialVault(options) {
+  const vaultPath = options.path;
+  const keyPath = `${vaultPath}.key`;
+  const passphrase = options.passphrase ?? "";
+  const logger = options.logger ?? console;
+
+  /** @type {StoredCredential[]} */
+  let credentials = [];
+  /** @type {Record<string, string>} active username per base URL */
+  let active = {};
+  /** @type {string | null} why an existing vault file could not be opened */
+  let unreadable = null;
+  /** @type {Promise<void> | null} */
+  let loadPromise = null;
+  let persistQueue = Promise.resolve();
+
+  function ensureLoaded() {
+    loadPromise ??= load();
+    return loadPromise;
+  }
+
+  async function load() {
+    const raw = await fs.readFile(vaultPath, "utf8").catch(() => "");
+    if (!raw) return;
+
+    try {
+      const file = JSON.parse(raw);
+      if (file?.version !== VAULT_VERSION) {
+        unreadable = "unsupported vault version";
+        logger.error(`[ottoauth-mcp] unsupported credential vault version in ${vaultPath}, ignoring it`);
+        return;
+      }
+      const key = await readKey(file, false);
+      if (!key) {
+        unreadable = `no key available (set OTTOAUTH_VAULT_KEY or restore ${keyPath})`;
+        logger.error(`[ottoauth-mcp] no key available for credential vault ${vaultPath}, ignoring it`);
+        return;
+      }
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(file.iv, "base64"));
+      decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(file.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8");
+      const parsed = JSON.parse(plain);
+      credentials = Array.isArray(parsed.credentials) ? parsed.credentials : [];
+      active = parsed.active && typeof parsed.active === "object" ? parsed.active : {};
+    } catch (error) {
+      unreadable = "wrong key or corrupted file";
+      logger.error(`[ottoauth-mcp] failed to open credential vault ${vaultPath}:`, error);
+    }
+  }
+
+  /**
+   * @param {{ salt?: string }} file
+   * @param {boolean} create
+   * @returns {Promise<Buffer | null>}
+   */
+  async function readKey(file, create) {
+    if (passphrase) {
+      return crypto.scryptSync(passphrase, Buffer.from(String(file.salt ?? ""), "base64"), KEY_BYTES);
+    }
+    const existing = await fs.readFile(keyPath, "utf8").catch(() => "");
+    if (existing.trim()) return Buffer.from(existing.trim(), "base64");
+    if (!create) return null;
+
+    const key = crypto.randomBytes(KEY_BYTES);
+    await fs.mkdir(path.dirname(keyPath), { recursive: true });
+    await fs.writeFile(keyPath, key.toString("base64") + "\n", { encoding: "utf8", mode: 0o600 });
+    return key;
+  }
+
+  async function persist() {
+    const plain = JSON.stringify({ credentials, active });
+    persistQueue = persistQueue
+      .catch(() => undefined)
+      .then(async () => {
+        const salt = crypto.randomBytes(16).toString("base64");
+        const key = /** @type {Buffer} */ (await readKey({ salt }, true));
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+        const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+        const file = {
+          version: VAULT_VERSION,
+          kdf: passphrase ? "scrypt" : "keyfile",
+          ...(passphrase ? { salt } : {}),
+          iv: iv.toString("base64"),
+          tag: cipher.getAuthTag().toString("base64"),
+          data: data.toString("base64"),
+        };
+        await fs.mkdir(path.dirname(vaultPath), { recursive: true });
+        await fs.writeFile(vaultPath, JSON.stringify(file, null, 2) + "\n", {
+          encoding: "utf8",
+          mode: 0o600,
+        });
+      });
+
+    await persistQueue;
+  }
+
+  /**
+   * Stores (or replaces) a credential and makes it the active one for its base URL.
+   * Throws rather than overwrite a vault file that exists but could not be
+   * opened, since that would destroy every key stored in it.
+   * @param {{ baseUrl: string; username: string; privateKey: string }} credential
+   */
+  async function save(credential) {
+    await ensureLoaded();
+    if (unreadable) {
+      throw new Error(
+        `Credential vault ${vaultPath} exists but could not be opened (${unreadable}); refusing to overwrite it.`,
+      );
+    }
+    credentials = credentials.filter(
+      (c) => !(c.baseUrl === credential.baseUrl && c.username === credential.username),
+    );
+    credentials.push({ ...credential, createdAt: new Date().toISOString() });
+    active = { ...active, [credential.baseUrl]: credential.username };
+    await persist();
+  }
+
+  /**
+   * The named account, or the active one when `username` is not given.
+   * @param {string} baseUrl
+   * @param {string} [username]
+   * @returns {Promise<AgentCredential | null>}
+   */
+  async function get(baseUrl, username) {
+    await ensureLoaded();
+    const wanted = username ?? active[baseUrl];
+    const found = credentials.find((c) => c.baseUrl === baseUrl && c.username === wanted);
+    return found ? { username: found.username, privateKey: found.privateKey } : null;
+  }
+
+  /** @param {string} baseUrl */
+  async function list(baseUrl) {
+    await ensureLoaded();
+    return credentials
+      .filter((c) => c.baseUrl === baseUrl)
+      .map((c) => ({
+        username: c.username,
+        privateKey: maskSecret(c.privateKey),
+        createdAt: c.createdAt,
+        active: active[baseUrl] === c.username,
+      }));
+  }
+
+  return { path: vaultPath, ensureLoaded, save, get, list };
+}
+
+/**
+ * Shows just enough of a secret to tell keys apart.
+ * @param {string} secret
+ */
+export function maskSecret(secret) {
+  if (secret.length <= 8) return "*".repeat(secret.length);
+  return `${secret.slice(0, 4)}…${secret.slice(-4)}`;
+}
+
+/**
+ * Fills in Ottoauth's body-based agent auth (`username` + `private_key`).
+ * Values the caller already set win, except a masked key, which is swapped
+ * for the real one.
+ * @param {unknown} body
+ * @param {AgentCredential} credential
+ * @returns {unknown}
+ */
+export function applyCredential(body, credential) {
+  if (body !== undefined && body !== null && (typeof body !== "object" || Array.isArray(body))) {
+    return body;
+  }
+  const out = { .../** @type {Record<string, unknown>} */ (body ?? {}) };
+  if (out.username !== undefined && out.username !== credential.username) {
+    return out;
+  }
+  out.username = credential.username;
+  if (out.private_key === undefined || out.private_key === maskSecret(credential.privateKey)) {
+    out.private_key = credential.privateKey;
+  }
+  return out;
+}
+
+/**
+ * Masks every occurrence of `secret` in a response body, at any depth, so a
+ * key injected into a request does not come back to the model in an echo.
+ * @param {unknown} value
+ * @param {string} secret
+ * @returns {unknown}
+ */
+export function scrubSecret(value, secret) {
+  if (!secret) return value;
+  if (typeof value === "string") {
+    return value.includes(secret) ? value.split(secret).join(maskSecret(secret)) : value;
+  }
+  if (Array.isArray(value)) return value.map((item) => scrubSecret(item, secret));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [scrubSecret(key, secret), scrubSecret(child, secret)]),
+    );
+  }
+  return value;
+}
@@ -21,6 +21,9 @@ describe("MCP stdio end-to-end", () => {
         OTTOAUTH_BASE_URL: mock.baseUrl,
         OTTOAUTH_WEBHOOK_PORT: "0",
         WEBHOOK_EVENT_STORE_PATH: `/tmp/ottoauthmcp-test-${Date.now()}-1.json`,
+        OTTOAUTH_DISCOVERY_CACHE_PATH: `/tmp/ottoauthmcp-discovery-${Date.now()}-1.json`,
+        OTTOAUTH_VAULT_PATH: `/tmp/ottoauthmcp-vault-${Date.now()}-1.json`,
+        OTTOAUTH_AUDIT_LOG_PATH: `/tmp/ottoauthmcp-audit-${Date.now()}-1.jsonl`,
       },
       stderr: "pipe",
     });
@@ -49,7 +52,8 @@ describe("MCP stdio end-to-end", () => {
       expect(create.isError).toBeFalsy();
       expect(create.structuredContent.status).toBe(200);
       expect(create.structuredContent.body.username).toBe("agent-new");
-      expect(create.structuredContent.body.privateKey).toBe("pk_test_123");
+      expect(create.structuredContent.body.privateKey).toBe("pk_t…_123");
+      expect(create.structuredContent.vault).toMatchObject({ stored: true, username: "agent-new" });
 
       const call1 = await client.callTool({
         name: "ottoauth_amazon_post_services_amazon_buy",
@@ -103,6 +107,9 @@ describe("MCP stdio end-to-end", () => {
         OTTOAUTH_BASE_URL: mock.baseUrl,
         OTTOAUTH_WEBHOOK_PORT: "0",
         WEBHOOK_EVENT_STORE_PATH: `/tmp/ottoauthmcp-test-${Date.now()}-2.json`,
+        OTTOAUTH_DISCOVERY_CACHE_PATH: `/tmp/ottoauthmcp-discovery-${Date.now()}-2.json`,
+        OTTOAUTH_VAULT_PATH: `/tmp/ottoauthmcp-vault-${Date.now()}-2.json`,
+        OTTOAUTH_AUDIT_LOG_PATH: `/tmp/ottoauthmcp-audit-${Date.now()}-2.jsonl`,
       },
     });
 
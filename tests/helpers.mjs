@@ -1,9 +1,17 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
 import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createOttoauthMcpServer } from "../src/server.mjs";
 
 /**
  * @param {{
- * services?: Array<{id: string; docsUrl?: string}>;
+ * services?: Array<{id: string; name?: string; description?: string; docsUrl?: string; openapiUrl?: string}>;
  * docsByServiceId?: Record<string, string>;
+ * docsDelayMs?: Record<string, number>;
  * handlers?: Record<string, (req: import('node:http').IncomingMessage, body: any) => any>;
  * }} [config]
  */
@@ -67,8 +75,9 @@ curl -X POST /api/computeruse/runs/RUN_ID_HERE/events
       const base = `http://127.0.0.1:${server.address().port}`;
       const payload = {
         services: services.map((svc) => ({
-          id: svc.id,
-          docsUrl: svc.docsUrl || `${base}/api/services/${svc.id}`,
+          ...svc,
+          docsUrl: resolveMockUrl(base, svc.docsUrl) || `${base}/api/services/${svc.id}`,
+          ...(svc.openapiUrl ? { openapiUrl: resolveMockUrl(base, svc.openapiUrl) } : {}),
         })),
       };
       res.writeHead(200, { "content-type": "application/json" });
@@ -79,12 +88,22 @@ curl -X POST /api/computeruse/runs/RUN_ID_HERE/events
     if (method === "GET" && url.pathname.startsWith("/api/services/")) {
       const serviceId = url.pathname.split("/").at(-1);
       const docs = docsByServiceId[serviceId] ?? "";
+      const delayMs = config.docsDelayMs?.[serviceId] ?? 0;
+      if (delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
       if (!docs) {
         res.writeHead(404, { "content-type": "text/plain" });
         res.end("not found");
         return;
       }
-      res.writeHead(200, { "content-type": "text/markdown" });
+      const etag = `"${crypto.createHash("sha1").update(docs).digest("hex")}"`;
+      if (req.headers["if-none-match"] === etag) {
+        res.writeHead(304, { etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "content-type": "text/markdown", etag });
       res.end(docs);
       return;
     }
@@ -127,3 +146,58 @@ curl -X POST /api/computeruse/runs/RUN_ID_HERE/events
     },
   };
 }
+
+/**
+ * @param {string} base
+ * @param {string | undefined} url
+ */
+function resolveMockUrl(base, url) {
+  if (!url) return url;
+  return url.startsWith("/") ? `${base}${url}` : url;
+}
+
+/**
+ * Connects an in-memory MCP client to a server backed by a mock Ottoauth and
+ * discovers its tools. Every on-disk feature (webhook store, discovery cache,
+ * vault, budget store, audit log) defaults to a fresh tmp dir, so tests never
+ * write into the working directory. Passing `baseUrl` skips the mock and the
+ * initial refresh.
+ * @param {Parameters<typeof createOttoauthMcpServer>[0] & {
+ * mock?: Parameters<typeof startMockOttoauth>[0];
+ * capabilities?: import("@modelcontextprotocol/sdk/types.js").ClientCapabilities;
+ * setupClient?: (client: Client) => void;
+ * refresh?: boolean;
+ * }} [options]
+ */
+export async function connectTestServer(options = {}) {
+  const { mock: mockConfig, capabilities = {}, setupClient, refresh, ...serverOptions } = options;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-test-"));
+  const mock = serverOptions.baseUrl ? null : await startMockOttoauth(mockConfig);
+  const app = createOttoauthMcpServer({
+    baseUrl: mock?.baseUrl,
+    openapiUrl: "",
+    logger: { error() {} },
+    webhookStorePath: path.join(dir, "webhooks.json"),
+    discoveryCachePath: path.join(dir, "discovery.json"),
+    vaultPath: path.join(dir, "vault.json"),
+    budgetStorePath: path.join(dir, "budget.json"),
+    ...serverOptions,
+    audit: { path: path.join(dir, "audit.jsonl"), ...serverOptions.audit },
+  });
+  const client = new Client({ name: "ottoauth-mcp-test", version: "0.1.0" }, { capabilities });
+  setupClient?.(client);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await app.server.connect(serverTransport);
+  await client.connect(clientTransport);
+  if (refresh ?? Boolean(mock)) await app.refreshToolsFromOttoauth();
+
+  const close = async () => {
+    await client.close();
+    app.stop();
+    await mock?.close();
+    // Stores may still be flushing a write the test did not wait for.
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 3 });
+  };
+  return { app, client, mock: /** @type {Awaited<ReturnType<typeof startMockOttoauth>>} */ (mock), dir, close };
+}
+
@@ -0,0 +1,147 @@
+import { describe, it, expect } from "vitest";
+import {
+  createEndpointFilter,
+  matchesPathGlob,
+  matchesPathTemplate,
+  resolveEndpointFilterConfig,
+  serviceIdFromPath,
+} from "../../src/access.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("endpoint filter helpers", () => {
+  it("matches path globs and templates", () => {
+    expect(matchesPathGlob("/api/services/*/buy", "/api/services/amazon/buy")).toBe(true);
+    expect(matchesPathGlob("/api/services/*", "/api/services/amazon/buy")).toBe(false);
+    expect(matchesPathGlob("/api/services/**", "/api/services/amazon/buy")).toBe(true);
+    expect(matchesPathGlob("/api/services/amazon/buy", "/api/services/amazon/buy/")).toBe(true);
+    expect(matchesPathTemplate("/api/runs/:run_id/events", "/api/runs/r1/events")).toBe(true);
+    expect(matchesPathTemplate("/api/runs/:run_id/events", "/api/runs/r1/x/events")).toBe(false);
+  });
+
+  it("infers service ids from raw paths", () => {
+    expect(serviceIdFromPath("/api/services/amazon/buy")).toBe("amazon");
+    expect(serviceIdFromPath("/api/computeruse/runs")).toBe("computeruse");
+    expect(serviceIdFromPath("/api/services")).toBeNull();
+    expect(serviceIdFromPath("/health")).toBeNull();
+  });
+
+  it("reads comma-separated lists from env, with options taking precedence", () => {
+    const config = resolveEndpointFilterConfig(
+      { denyMethods: ["delete"] },
+      { OTTOAUTH_DENY_SERVICES: "Amazon, snacks", OTTOAUTH_DENY_METHODS: "POST" },
+    );
+    expect(config.denyServices).toEqual(["amazon", "snacks"]);
+    expect(config.denyMethods).toEqual(["DELETE"]);
+    expect(config.allowPaths).toEqual([]);
+  });
+
+  it("applies deny before allow across services, methods and paths", () => {
+    const filter = createEndpointFilter(
+      {
+        allowServices: ["amazon", "computeruse"],
+        denyMethods: ["DELETE"],
+        denyPaths: ["/api/services/*/buy"],
+      },
+      {},
+    );
+    const check = (serviceId, method, path) => filter.check({ serviceId, method, path });
+    expect(check("amazon", "POST", "/api/services/amazon/history").allowed).toBe(true);
+    expect(check("amazon", "POST", "/api/services/amazon/buy")).toEqual({
+      allowed: false,
+      reason: "path matches denied pattern '/api/services/*/buy'",
+    });
+    expect(check("snacks", "GET", "/api/services/snacks").allowed).toBe(false);
+    expect(check("computeruse", "DELETE", "/api/computeruse/runs/1").allowed).toBe(false);
+    expect(check(null, "GET", "/api/onboard").allowed).toBe(false);
+  });
+});
+
+describe("endpoint filtering in the MCP server", () => {
+  it("hides blocked tools and blocks them through the passthrough", async () => {
+    const { app, client, mock, close } = await connectTestServer({
+      endpointFilter: { denyPaths: ["/api/services/amazon/buy"], denyServices: ["computeruse"] },
+    });
+    try {
+      const names = (await client.listTools()).tools.map((t) => t.name);
+      expect(names).toContain("ottoauth_amazon_post_services_amazon_history");
+      expect(names).not.toContain("ottoauth_amazon_post_services_amazon_buy");
+      expect(names).not.toContain("ottoauth_computeruse_post_computeruse_runs_run_id_events");
+      expect(app.getSnapshot().filteredEndpointCount).toBe(2);
+
+      for (const path of [
+        "/api/services/amazon/buy",
+        "/api/services/amazon/x/../buy",
+        "/api/services/%61mazon/buy",
+        "/api/services/amazon/%2562uy?x=1",
+        "/api/computeruse/runs/r1/events",
+      ]) {
+        const out = await client.callTool({
+          name: "ottoauth_http_request",
+          arguments: { method: "POST", path, body: {} },
+        });
+        expect(out.isError).toBe(true);
+        expect(out.structuredContent.error).toBe("endpoint_blocked");
+      }
+      expect(mock.requests.some((r) => r.path === "/api/services/amazon/buy")).toBe(false);
+
+      const ok = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/history", body: {} },
+      });
+      expect(ok.isError).toBeFalsy();
+    } finally {
+      await close();
+    }
+  });
+
+  it("applies template deny rules to blocked endpoints called through the passthrough", async () => {
+    const { client, mock, close } = await connectTestServer({
+      endpointFilter: { denyPaths: ["/api/computeruse/runs/:run_id/events"] },
+    });
+    try {
+      const out = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/computeruse/runs/r1/%65vents", body: {} },
+      });
+      expect(out.structuredContent).toMatchObject({
+        error: "endpoint_blocked",
+        path: "/api/computeruse/runs/r1/events",
+      });
+      expect(mock.requests.some((r) => r.path.startsWith("/api/computeruse/runs"))).toBe(false);
+    } finally {
+      await close();
+    }
+  });
+
+  it("forwards encoded ids unchanged while matching rules on the decoded path", async () => {
+    const { client, mock, close } = await connectTestServer({
+      endpointFilter: { denyPaths: ["/api/items/a/b"] },
+    });
+    try {
+      for (const path of ["/api/items/a%2Fb", "/api/items/a%252Fb"]) {
+        const out = await client.callTool({
+          name: "ottoauth_http_request",
+          arguments: { method: "GET", path },
+        });
+        expect(out.structuredContent).toMatchObject({ error: "endpoint_blocked", path: "/api/items/a/b" });
+      }
+      expect(mock.requests.some((r) => r.path.startsWith("/api/items"))).toBe(false);
+    } finally {
+      await close();
+    }
+
+    const open = await connectTestServer();
+    try {
+      for (const path of ["/api/items/a%2Fb", "/api/items/a%252Fb", "/api/items/x/../a%2Fb?q=1"]) {
+        await open.client.callTool({ name: "ottoauth_http_request", arguments: { method: "GET", path } });
+      }
+      expect(open.mock.requests.filter((r) => r.path.startsWith("/api/items")).map((r) => r.path)).toEqual([
+        "/api/items/a%2Fb",
+        "/api/items/a%252Fb",
+        "/api/items/a%2Fb",
+      ]);
+    } finally {
+      await open.close();
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import {
+  createAnnotationResolver,
+  METHOD_ANNOTATIONS,
+  resolveAnnotationRules,
+} from "../../src/annotations.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("tool annotations", () => {
+  it("derives hints from the method and flags spending endpoints", () => {
+    const { annotationsFor } = createAnnotationResolver([], {});
+    expect(annotationsFor({ method: "GET", path: "/api/services/amazon/orders" })).toEqual(
+      METHOD_ANNOTATIONS.GET,
+    );
+    expect(annotationsFor({ method: "POST", path: "/api/services/amazon/history" })).toMatchObject({
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+    });
+    expect(annotationsFor({ method: "POST", path: "/api/services/amazon/buy" }).destructiveHint).toBe(true);
+    expect(
+      annotationsFor({
+        method: "POST",
+        path: "/api/services/snackpass/deliver",
+        description: "Deliver food.\nCost: $2 per delivery.",
+      }).destructiveHint,
+    ).toBe(true);
+    expect(annotationsFor({ method: "DELETE", path: "/api/runs/:run_id" })).toMatchObject({
+      destructiveHint: true,
+      idempotentHint: true,
+    });
+  });
+
+  it("applies configured rules in order over the defaults", () => {
+    const { annotationsFor } = createAnnotationResolver(
+      [
+        { path: "/api/services/amazon/**", methods: ["post"], annotations: { idempotentHint: true } },
+        { path: "/api/services/amazon/buy", annotations: { destructiveHint: false, bogus: 1 } },
+      ],
+      {},
+    );
+    expect(annotationsFor({ method: "POST", path: "/api/services/amazon/buy" })).toEqual({
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: true,
+    });
+    expect(annotationsFor({ method: "GET", path: "/api/services/amazon/x" }).idempotentHint).toBe(true);
+  });
+
+  it("reads rules from OTTOAUTH_TOOL_ANNOTATIONS and rejects malformed ones", () => {
+    const env = {
+      OTTOAUTH_TOOL_ANNOTATIONS: JSON.stringify([{ path: "**/quote", annotations: { readOnlyHint: true } }]),
+    };
+    expect(resolveAnnotationRules(undefined, env)).toEqual([
+      { path: "**/quote", methods: undefined, annotations: { readOnlyHint: true } },
+    ]);
+    expect(() => resolveAnnotationRules(undefined, { OTTOAUTH_TOOL_ANNOTATIONS: "{" })).toThrow(
+      /JSON array/,
+    );
+    expect(() => resolveAnnotationRules([{ annotations: {} }], {})).toThrow(/rule #0/);
+  });
+
+  it("annotates registered endpoint tools and the passthrough", async () => {
+    const { client, close } = await connectTestServer({
+      toolAnnotations: [{ path: "**/history", annotations: { readOnlyHint: true } }],
+    });
+    try {
+      const { tools } = await client.listTools();
+      const byName = Object.fromEntries(tools.map((t) => [t.name, t.annotations]));
+      expect(byName.ottoauth_amazon_post_services_amazon_buy?.destructiveHint).toBe(true);
+      expect(byName.ottoauth_amazon_post_services_amazon_history?.readOnlyHint).toBe(true);
+      expect(byName.ottoauth_http_request).toMatchObject({ readOnlyHint: false, destructiveHint: true });
+    } finally {
+      await close();
+    }
+  });
+});
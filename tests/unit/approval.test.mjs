@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import { ElicitRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { createApprovalPolicy, resolveApprovalRules } from "../../src/approval.mjs";
+import { previewRequest } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("approval policy", () => {
+  it("matches rules by method and path, later rules winning", () => {
+    const policy = createApprovalPolicy([
+      { path: "/api/services/**", methods: ["post"] },
+      { path: "/api/services/*/quote", approve: false },
+    ]);
+    expect(policy.requiresApproval({ method: "POST", path: "/api/services/amazon/buy" })).toBe(true);
+    expect(policy.requiresApproval({ method: "GET", path: "/api/services/amazon/buy" })).toBe(false);
+    expect(policy.requiresApproval({ method: "POST", path: "/api/services/amazon/quote" })).toBe(false);
+    expect(
+      policy.requiresApproval({ method: "POST", path: "/api/runs/1/stop", template: "/api/services/x/:id" }),
+    ).toBe(true);
+    expect(createApprovalPolicy().requiresApproval({ method: "POST", path: "/api/services/a/buy" })).toBe(false);
+  });
+
+  it("reads rules from env and rejects malformed ones", () => {
+    expect(resolveApprovalRules(undefined, { OTTOAUTH_APPROVAL_RULES: '[{"path":"**/buy"}]' })).toEqual([
+      { path: "**/buy", methods: undefined, approve: true },
+    ]);
+    expect(() => resolveApprovalRules(undefined, { OTTOAUTH_APPROVAL_RULES: "{" })).toThrow(/JSON array/);
+    expect(() => resolveApprovalRules([{ methods: ["POST"] }])).toThrow(/'path' glob/);
+  });
+
+  it("previews the request with the private key masked", () => {
+    expect(
+      previewRequest({
+        baseUrl: "http://x",
+        method: "POST",
+        path: "/api/services/amazon/buy",
+        query: { dry: 1 },
+        body: { item_url: "u" },
+        credential: { username: "agent", privateKey: "pk_secret_value" },
+      }),
+    ).toMatchObject({
+      method: "POST",
+      url: "http://x/api/services/amazon/buy?dry=1",
+      body: { item_url: "u", username: "agent", private_key: "pk_s…alue" },
+    });
+  });
+});
+
+describe("approval gate over MCP", () => {
+  /**
+   * @param {{ elicitation?: boolean; respond?: (request: any) => any }} clientOptions
+   */
+  async function connect({ elicitation = true, respond } = {}) {
+    /** @type {any[]} */
+    const elicited = [];
+    const connected = await connectTestServer({
+      profiles: { default: { username: "agent", privateKey: "pk_approval_key" } },
+      approval: [{ path: "**/buy", methods: ["POST"] }],
+      capabilities: elicitation ? { elicitation: {} } : {},
+      setupClient: (client) => {
+        if (!elicitation) return;
+        client.setRequestHandler(ElicitRequestSchema, async (request) => {
+          elicited.push(request.params);
+          return respond(request);
+        });
+      },
+    });
+    return { ...connected, elicited };
+  }
+
+  const buy = {
+    name: "ottoauth_amazon_post_services_amazon_buy",
+    arguments: { body: { item_url: "https://amazon.example/item" } },
+  };
+  const buyRequests = (mock) => mock.requests.filter((r) => r.path === "/api/services/amazon/buy");
+
+  it("sends the call once the user approves it", async () => {
+    const { mock, client, elicited, close } = await connect({
+      respond: () => ({ action: "accept", content: { approve: true } }),
+    });
+    try {
+      const out = await client.callTool(buy);
+      expect(out.isError).toBe(false);
+      expect(buyRequests(mock)).toHaveLength(1);
+      expect(elicited).toHaveLength(1);
+      expect(elicited[0].message).toContain(`POST ${mock.baseUrl}/api/services/amazon/buy`);
+      expect(elicited[0].message).toContain('"item_url": "https://amazon.example/item"');
+      expect(elicited[0].message).toContain('"private_key": "pk_a…_key"');
+      expect(elicited[0].message).not.toContain("pk_approval_key");
+
+      await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/history" },
+      });
+      expect(elicited).toHaveLength(1);
+    } finally {
+      await close();
+    }
+  });
+
+  it("refuses the call when the user declines", async () => {
+    const { mock, client, close } = await connect({
+      respond: () => ({ action: "accept", content: { approve: false } }),
+    });
+    try {
+      const out = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/buy", body: {} },
+      });
+      expect(out.isError).toBe(true);
+      expect(out.structuredContent).toMatchObject({ error: "approval_declined", action: "accept" });
+      expect(buyRequests(mock)).toHaveLength(0);
+    } finally {
+      await close();
+    }
+  });
+
+  it("matches passthrough paths after decoding, without query or fragment", async () => {
+    const { mock, client, elicited, close } = await connect({
+      respond: () => ({ action: "decline" }),
+    });
+    try {
+      for (const path of [
+        "/api/services/walmart/buy?x=1",
+        "/api/services/walmart/buy#",
+        "/api/services/walmart/%62uy",
+      ]) {
+        const out = await client.callTool({ name: "ottoauth_http_request", arguments: { method: "POST", path } });
+        expect(out.structuredContent).toMatchObject({ error: "approval_declined" });
+      }
+      expect(elicited).toHaveLength(3);
+      expect(elicited[0].message).toContain(`POST ${mock.baseUrl}/api/services/walmart/buy?x=1`);
+      expect(mock.requests.filter((r) => r.path === "/api/services/walmart/buy")).toHaveLength(0);
+    } finally {
+      await close();
+    }
+  });
+
+  it("refuses the call when the client cannot elicit", async () => {
+    const { mock, client, close } = await connect({ elicitation: false });
+    try {
+      const out = await client.callTool(buy);
+      expect(out.structuredContent).toMatchObject({
+        error: "approval_unavailable",
+        request: { method: "POST", url: `${mock.baseUrl}/api/services/amazon/buy` },
+      });
+      expect(buyRequests(mock)).toHaveLength(0);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,187 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { createAuditLog, maskCardNumbers, resolveAuditConfig } from "../../src/audit.mjs";
+import { parseTimeBound } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+/** @param {Partial<import("../../src/audit.mjs").AuditEntry>} overrides */
+function entry(overrides = {}) {
+  return {
+    tool: "ottoauth_http_request",
+    profile: "default",
+    method: "POST",
+    url: "http://x/api/services/amazon/buy",
+    status: 200,
+    ok: true,
+    durationMs: 5,
+    requestBytes: 2,
+    responseBytes: 2,
+    attempts: 1,
+    idempotencyKey: null,
+    error: null,
+    requestHeaders: {},
+    requestBody: {},
+    ...overrides,
+  };
+}
+
+describe("audit log", () => {
+  it("is off unless a path is configured", () => {
+    expect(resolveAuditConfig(undefined, {}).path).toBe("");
+    expect(resolveAuditConfig(undefined, { OTTOAUTH_AUDIT_LOG_PATH: "/tmp/a.jsonl" }).path).toBe("/tmp/a.jsonl");
+  });
+
+  it("redacts configured headers, body fields and card numbers", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-audit-"));
+    try {
+      const config = resolveAuditConfig(
+        { path: path.join(dir, "audit.jsonl"), redactFields: ["shipping_address"] },
+        { OTTOAUTH_AUDIT_REDACT_FIELDS: "X-Ignored-Because-Option-Wins" },
+      );
+      const audit = createAuditLog({ ...config, redactHeaders: ["x-tenant"] });
+      await audit.record(
+        entry({
+          url: "http://x/api/services/amazon/buy?token=tok_live&card=4111111111111111&since=1760000000000",
+          requestHeaders: {
+            Authorization: "Bearer t",
+            "X-Auth-Token": "t2",
+            "X-Ottoauth-Secret": "s",
+            "X-Tenant": "acme",
+            "X-Team": "qa",
+          },
+          requestBody: {
+            username: "agent",
+            private_key: "pk_live",
+            payment: { card_number: "4111111111111111", note: "use 4111 1111 1111 1111", pan: 4111111111111111 },
+            shipping_address: "1 Main St",
+            created_ms: 1760000000000,
+          },
+        }),
+      );
+      const [line] = (await fs.readFile(config.path, "utf8")).trim().split("\n");
+      const written = JSON.parse(line);
+      expect(written.url).toBe(
+        "http://x/api/services/amazon/buy?token=[redacted]&card=************1111&since=1760000000000",
+      );
+      expect(written.requestHeaders).toEqual({
+        Authorization: "[redacted]",
+        "X-Auth-Token": "[redacted]",
+        "X-Ottoauth-Secret": "[redacted]",
+        "X-Tenant": "[redacted]",
+        "X-Team": "qa",
+      });
+      expect(written.requestBody).toEqual({
+        username: "agent",
+        private_key: "[redacted]",
+        payment: { card_number: "[redacted]", note: "use ************1111", pan: "************1111" },
+        shipping_address: "[redacted]",
+        created_ms: 1760000000000,
+      });
+      expect(maskCardNumbers("order 12345")).toBe("order 12345");
+      // Card-shaped digit runs that fail the Luhn check are not card numbers.
+      expect(maskCardNumbers("order 4111111111111112 at 1760000000000")).toBe(
+        "order 4111111111111112 at 1760000000000",
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rotates files and searches across them newest first", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-audit-"));
+    try {
+      const probe = createAuditLog(resolveAuditConfig({ path: path.join(dir, "probe.jsonl") }, {}));
+      await probe.record(entry({ ts: new Date(0).toISOString(), tool: "ottoauth_amazon_post_services_amazon_buy" }));
+      const lineBytes = (await fs.stat(path.join(dir, "probe.jsonl"))).size;
+      await fs.rm(path.join(dir, "probe.jsonl"));
+
+      // Two entries per file, three files: the two oldest entries rotate out.
+      const config = {
+        ...resolveAuditConfig({ path: path.join(dir, "audit.jsonl") }, {}),
+        maxBytes: lineBytes * 2 + 10,
+        maxFiles: 3,
+      };
+      const audit = createAuditLog({ ...config, logger: { error() {} } });
+      for (let i = 0; i < 8; i += 1) {
+        await audit.record(
+          entry({
+            ts: new Date(Date.UTC(2026, 9, 19, 12, i)).toISOString(),
+            tool: i % 2 ? "ottoauth_amazon_post_services_amazon_buy" : "ottoauth_http_request",
+            status: i === 3 ? null : i === 5 ? 503 : 200,
+            ok: i !== 3 && i !== 5,
+          }),
+        );
+      }
+      const files = (await fs.readdir(dir)).sort();
+      expect(files).toEqual(["audit.jsonl", "audit.jsonl.1", "audit.jsonl.2"]);
+
+      const all = await audit.search();
+      expect(all).toHaveLength(6);
+      expect(all[0].ts).toBe("2026-10-19T12:07:00.000Z");
+      expect(all.at(-1)?.ts).toBe("2026-10-19T12:02:00.000Z");
+
+      expect((await audit.search({ status: "5xx" })).map((e) => e.status)).toEqual([503]);
+      expect((await audit.search({ tool: "ottoauth_http_request", limit: 2 })).map((e) => e.ts)).toEqual([
+        "2026-10-19T12:06:00.000Z",
+        "2026-10-19T12:04:00.000Z",
+      ]);
+      const windowed = await audit.search({
+        since: new Date("2026-10-19T12:05:00Z"),
+        until: new Date("2026-10-19T12:06:00Z"),
+      });
+      expect(windowed.map((e) => e.ts)).toEqual(["2026-10-19T12:06:00.000Z", "2026-10-19T12:05:00.000Z"]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("parses time bounds", () => {
+    const now = Date.parse("2026-10-19T12:00:00Z");
+    expect(parseTimeBound("15m", now)?.toISOString()).toBe("2026-10-19T11:45:00.000Z");
+    expect(parseTimeBound("2026-10-18T00:00:00Z", now)?.toISOString()).toBe("2026-10-18T00:00:00.000Z");
+    expect(parseTimeBound(undefined, now)).toBeUndefined();
+    expect(parseTimeBound("yesterday-ish", now)).toBeNull();
+  });
+});
+
+describe("audit on the MCP server", () => {
+  it("records proxied calls and answers ottoauth_audit_query", async () => {
+    const { client, mock, dir, close } = await connectTestServer({
+      profiles: { default: { username: "agent", privateKey: "pk_audit_key" } },
+    });
+    try {
+      await client.callTool({ name: "ottoauth_amazon_post_services_amazon_buy", arguments: { body: { amount: 5 } } });
+      await client.callTool({ name: "ottoauth_http_request", arguments: { method: "GET", path: "/api/missing" } });
+
+      const recent = await client.callTool({ name: "ottoauth_audit_query", arguments: { since: "5m" } });
+      expect(recent.structuredContent).toMatchObject({
+        count: 2,
+        entries: [
+          { tool: "ottoauth_http_request", method: "GET", status: 404, ok: false, requestBody: null },
+          {
+            tool: "ottoauth_amazon_post_services_amazon_buy",
+            profile: "default",
+            method: "POST",
+            url: `${mock.baseUrl}/api/services/amazon/buy`,
+            status: 200,
+            attempts: 1,
+            idempotencyKey: expect.stringMatching(/^ottoauth-mcp-/),
+            requestBody: { amount: 5, username: "agent", private_key: "[redacted]" },
+          },
+        ],
+      });
+      expect(recent.structuredContent.entries[1].responseBytes).toBeGreaterThan(0);
+      expect(await fs.readFile(path.join(dir, "audit.jsonl"), "utf8")).not.toContain("pk_audit_key");
+
+      const notFound = await client.callTool({ name: "ottoauth_audit_query", arguments: { status: "4xx" } });
+      expect(notFound.structuredContent.count).toBe(1);
+
+      const bad = await client.callTool({ name: "ottoauth_audit_query", arguments: { until: "later" } });
+      expect(bad.structuredContent).toMatchObject({ error: "invalid_time", field: "until" });
+    } finally {
+      await close();
+    }
+  });
+});
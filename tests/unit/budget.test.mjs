@@ -0,0 +1,152 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { createBudget, extractAmount, resolveBudgetConfig } from "../../src/budget.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+async function tempStore() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-budget-"));
+  return { dir, storePath: path.join(dir, "budget.json") };
+}
+
+describe("budget helpers", () => {
+  it("extracts amounts from numbers, money strings and dot paths", () => {
+    expect(extractAmount({ amount: 12.5 }, ["amount"])).toBe(12.5);
+    expect(extractAmount({ price: "$1,299.00" }, ["amount", "price"])).toBe(1299);
+    expect(extractAmount({ order: { total: "7" } }, ["order.total"])).toBe(7);
+    expect(extractAmount({ amount: "soon" }, ["amount"])).toBeNull();
+    expect(extractAmount(null, ["amount"])).toBeNull();
+  });
+
+  it("validates the config", () => {
+    expect(resolveBudgetConfig(undefined, {})).toBeNull();
+    expect(resolveBudgetConfig(undefined, { OTTOAUTH_BUDGET: '{"dailyLimit":5}' })).toEqual({ dailyLimit: 5 });
+    expect(() => resolveBudgetConfig({ dailyLimit: -1 })).toThrow(/non-negative/);
+    expect(() => resolveBudgetConfig({ profiles: { ops: { sessionLimit: "x" } } })).toThrow(/'ops'/);
+    expect(() => resolveBudgetConfig({ endpoints: [{}] })).toThrow(/'path' glob/);
+    expect(() => resolveBudgetConfig(undefined, { OTTOAUTH_BUDGET: "[" })).toThrow(/JSON object/);
+  });
+
+  it("reserves, settles and persists spend per profile and day", async () => {
+    const { dir, storePath } = await tempStore();
+    let clock = new Date("2026-10-19T10:00:00Z");
+    const config = { dailyLimit: 100, sessionLimit: 60, profiles: { ops: { dailyLimit: 10 } } };
+    try {
+      const budget = createBudget({ config, storePath, now: () => clock });
+      const buy = { profile: "default", method: "POST", path: "/api/services/amazon/buy" };
+
+      const first = await budget.reserve({ ...buy, body: { amount: 40 } });
+      expect(first.allowed).toBe(true);
+      const overlapping = await budget.reserve({ ...buy, body: { amount: 30 } });
+      expect(overlapping).toMatchObject({ allowed: false, error: { limit: "session", remaining: 20 } });
+
+      await first.charge.settle({ ok: true, body: { charged: true, total: 35 } });
+      expect((await budget.status(["default"]))[0]).toMatchObject({
+        spentToday: 35,
+        remainingToday: 65,
+        spentThisSession: 35,
+        remainingThisSession: 25,
+      });
+
+      const failed = await budget.reserve({ ...buy, body: { amount: 20 } });
+      await failed.charge.settle({ ok: false, body: { error: "declined" } });
+      expect((await budget.status(["default"]))[0].spentToday).toBe(35);
+
+      expect(await budget.reserve({ ...buy, profile: "ops", body: { amount: 11 } })).toMatchObject({
+        allowed: false,
+        error: { error: "budget_exceeded", limit: "daily", profile: "ops" },
+      });
+      expect(await budget.reserve({ ...buy, path: "/api/services/amazon/history", body: { amount: 1e6 } })).toEqual({
+        allowed: true,
+        charge: null,
+      });
+
+      // A new process starts a new session but keeps today's spend.
+      const restarted = createBudget({ config, storePath, now: () => clock });
+      expect((await restarted.status(["default"]))[0]).toMatchObject({ spentToday: 35, spentThisSession: 0 });
+      clock = new Date("2026-10-20T00:00:01Z");
+      expect((await restarted.status(["default"]))[0]).toMatchObject({ spentToday: 0, remainingToday: 100 });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("allows calls with an unknown amount only while allowance remains", async () => {
+    const { dir, storePath } = await tempStore();
+    try {
+      const budget = createBudget({ config: { dailyLimit: 10 }, storePath, logger: { error() {} } });
+      const buy = { profile: "default", method: "POST", path: "/api/services/amazon/buy", body: {} };
+      const unknown = await budget.reserve(buy);
+      expect(unknown.allowed).toBe(true);
+      await unknown.charge.settle({ ok: true, body: { amount: 10 } });
+      expect(await budget.reserve(buy)).toMatchObject({ allowed: false, error: { amount: null, remaining: 0 } });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("counts purchases with an unknown outcome at the requested amount", async () => {
+    const { dir, storePath } = await tempStore();
+    try {
+      const budget = createBudget({ config: { dailyLimit: 100 }, storePath });
+      const buy = { profile: "default", method: "POST", path: "/api/services/amazon/buy", body: { amount: 10 } };
+      const spent = async () => (await budget.status(["default"]))[0].spentToday;
+
+      expect(await (await budget.reserve(buy)).charge.settle({ ok: false, status: 402, body: {} })).toBeNull();
+      expect(await spent()).toBe(0);
+      expect(await (await budget.reserve(buy)).charge.settle({ ok: false, status: 502, body: {} })).toBe(10);
+      expect(await (await budget.reserve(buy)).charge.settleUnknown()).toBe(10);
+      expect(await spent()).toBe(20);
+      expect((await budget.status(["default"]))[0].pending).toBe(0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("budget on the MCP server", () => {
+  it("refuses purchases over budget before they reach Ottoauth", async () => {
+    const { client, mock, dir, close } = await connectTestServer({ budget: { dailyLimit: 50, currency: "USD" } });
+    try {
+      const buy = (amount) =>
+        client.callTool({ name: "ottoauth_amazon_post_services_amazon_buy", arguments: { body: { amount } } });
+
+      expect((await buy(30)).isError).toBe(false);
+      const refused = await buy(30);
+      expect(refused.structuredContent).toMatchObject({
+        error: "budget_exceeded",
+        limit: "daily",
+        amount: 30,
+        remaining: 20,
+        currency: "USD",
+      });
+      // The passthrough is matched on the path it resolves to.
+      const viaPassthrough = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/%62uy?ref=1", body: { amount: 30 } },
+      });
+      expect(viaPassthrough.structuredContent).toMatchObject({ error: "budget_exceeded", remaining: 20 });
+      expect(mock.requests.filter((r) => r.path === "/api/services/amazon/buy")).toHaveLength(1);
+
+      const status = await client.callTool({ name: "ottoauth_budget_status", arguments: {} });
+      expect(status.structuredContent).toMatchObject({
+        activeProfile: "default",
+        profiles: [{ profile: "default", spentToday: 30, dailyLimit: 50, remainingToday: 20, sessionLimit: null }],
+      });
+      expect(JSON.parse(await fs.readFile(path.join(dir, "budget.json"), "utf8"))).toMatchObject({ version: 1 });
+    } finally {
+      await close();
+    }
+  });
+
+  it("does not offer the status tool without a budget", async () => {
+    const { client, close } = await connectTestServer({ budget: undefined, refresh: false });
+    try {
+      const { tools } = await client.listTools();
+      expect(tools.map((t) => t.name)).not.toContain("ottoauth_budget_status");
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import { sleep } from "../../src/retry.mjs";
+import { fetchWithTimeout, forwardRequest } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+/**
+ * A fetch that never answers and reports how long it waited before being aborted.
+ */
+function hangingFetch() {
+  /** @type {number[]} */
+  const abortedAfterMs = [];
+  let calls = 0;
+  /** @type {typeof fetch} */
+  const fetchImpl = (_url, init) =>
+    new Promise((_resolve, reject) => {
+      calls += 1;
+      const startedAt = Date.now();
+      init?.signal?.addEventListener("abort", () => {
+        abortedAfterMs.push(Date.now() - startedAt);
+        reject(Object.assign(new Error("This operation was aborted"), { name: "AbortError" }));
+      });
+    });
+  return { fetchImpl, abortedAfterMs, calls: () => calls };
+}
+
+describe("cancellation helpers", () => {
+  it("aborts a fetch when the caller's signal aborts", async () => {
+    const { fetchImpl, abortedAfterMs } = hangingFetch();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5);
+    await expect(
+      fetchWithTimeout(fetchImpl, "http://x", { method: "GET" }, 60_000, controller.signal),
+    ).rejects.toThrow(/aborted/);
+    expect(abortedAfterMs).toHaveLength(1);
+  });
+
+  it("stops sleeping once aborted", async () => {
+    const controller = new AbortController();
+    const pending = sleep(60_000, controller.signal);
+    controller.abort(new Error("cancelled"));
+    await expect(pending).rejects.toThrow("cancelled");
+    await expect(sleep(1, controller.signal)).rejects.toThrow("cancelled");
+  });
+
+  it("does not retry a request the caller cancelled", async () => {
+    const { fetchImpl, calls } = hangingFetch();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5);
+    await expect(
+      forwardRequest({
+        baseUrl: "http://x",
+        method: "GET",
+        path: "/api/slow",
+        retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 10 },
+        signal: controller.signal,
+        fetchImpl,
+        httpTimeoutMs: 60_000,
+      }),
+    ).rejects.toThrow(/aborted/);
+    expect(calls()).toBe(1);
+  });
+});
+
+describe("cancellation over MCP", () => {
+  /** @param {typeof fetch} fetchImpl */
+  const connect = (fetchImpl) =>
+    connectTestServer({
+      baseUrl: "http://ottoauth.test",
+      fetchImpl,
+      httpTimeoutMs: 60_000,
+      maxHttpTimeoutMs: 120_000,
+      retry: { maxAttempts: 1 },
+    });
+
+  it("aborts the upstream request when the client cancels the tool call", async () => {
+    const { fetchImpl, abortedAfterMs } = hangingFetch();
+    const { client, close } = await connect(fetchImpl);
+    try {
+      const controller = new AbortController();
+      const call = client.callTool(
+        { name: "ottoauth_http_request", arguments: { method: "GET", path: "/api/slow" } },
+        undefined,
+        { signal: controller.signal },
+      );
+      setTimeout(() => controller.abort("user gave up"), 20);
+      await expect(call).rejects.toThrow();
+      await expect.poll(() => abortedAfterMs.length).toBe(1);
+    } finally {
+      await close();
+    }
+  });
+
+  it("applies a per-call timeout_ms within the server maximum", async () => {
+    const { fetchImpl, abortedAfterMs } = hangingFetch();
+    const { client, close } = await connect(fetchImpl);
+    try {
+      const { tools } = await client.listTools();
+      const passthrough = tools.find((t) => t.name === "ottoauth_http_request");
+      expect(passthrough?.inputSchema.properties?.timeout_ms).toMatchObject({ maximum: 120_000 });
+
+      const timedOut = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "GET", path: "/api/slow", timeout_ms: 20 },
+      });
+      expect(timedOut.isError).toBe(true);
+      expect(abortedAfterMs[0]).toBeLessThan(5_000);
+
+      const tooLong = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "GET", path: "/api/slow", timeout_ms: 600_000 },
+      });
+      expect(tooLong.isError).toBe(true);
+      expect(JSON.stringify(tooLong.content)).toMatch(/timeout_ms/);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  extractCurlCommands,
+  parseCurlArgs,
+  parseCurlCommand,
+  parseJsonObject,
+  stripUrlPlaceholder,
+  tokenizeShell,
+} from "../../src/curl.mjs";
+
+describe("shell tokenizer", () => {
+  it("handles quotes, escapes, continuations and comments", () => {
+    const words = tokenizeShell(`curl 'a b' "c \\"d\\"" e\\ f \\\n  -s # trailing comment`)
+      .filter((t) => t.type === "word")
+      .map((t) => t.value);
+    expect(words).toEqual(["curl", "a b", 'c "d"', "e f", "-s"]);
+  });
+
+  it("splits commands on newlines and control operators", () => {
+    const commands = extractCurlCommands(
+      "export X=1\ncurl /api/a | jq .\ncurl -s /api/b && curl /api/c",
+    );
+    expect(commands.map((c) => c.args[0])).toEqual(["/api/a", "-s", "/api/c"]);
+  });
+});
+
+describe("curl parsing", () => {
+  it("defaults to GET without a payload and POST with one", () => {
+    expect(parseCurlCommand("curl https://x.dev/api/a").method).toBe("GET");
+    expect(parseCurlCommand("curl https://x.dev/api/a -d '{}'").method).toBe("POST");
+    expect(parseCurlCommand("curl -G https://x.dev/api/a -d q=1").method).toBe("GET");
+    expect(parseCurlCommand("curl -T file.bin https://x.dev/api/a").method).toBe("PUT");
+  });
+
+  it("reads explicit methods in every position and spelling", () => {
+    expect(parseCurlCommand("curl https://x.dev/api/a -X DELETE").method).toBe("DELETE");
+    expect(parseCurlCommand("curl --request patch /api/a").method).toBe("PATCH");
+    expect(parseCurlCommand("curl --request=PUT /api/a").method).toBe("PUT");
+    expect(parseCurlCommand("curl -sSXPOST /api/a").method).toBe("POST");
+  });
+
+  it("captures headers and JSON payloads", () => {
+    const parsed = parseCurlCommand(
+      [
+        "curl -s \\",
+        '  -H "Authorization: Bearer $KEY" \\',
+        "  -H 'Content-Type: application/json' \\",
+        '  --data-raw \'{"item_url":"https://a.co/x","qty":2}\' \\',
+        "  https://ottoauth.example/api/services/amazon/buy",
+      ].join("\n"),
+    );
+    expect(parsed).toEqual({
+      method: "POST",
+      url: "https://ottoauth.example/api/services/amazon/buy",
+      headers: { Authorization: "Bearer $KEY", "Content-Type": "application/json" },
+      data: '{"item_url":"https://a.co/x","qty":2}',
+      json: { item_url: "https://a.co/x", qty: 2 },
+    });
+  });
+
+  it("treats --json as a JSON POST", () => {
+    const parsed = parseCurlCommand(`curl --json '{"a":1}' /api/a`);
+    expect(parsed.method).toBe("POST");
+    expect(parsed.headers["Content-Type"]).toBe("application/json");
+    expect(parsed.json).toEqual({ a: 1 });
+  });
+
+  it("skips values of flags that take arguments", () => {
+    const parsed = parseCurlArgs(["-o", "out.json", "-u", "me:pw", "--max-time", "5", "/api/a"]);
+    expect(parsed.url).toBe("/api/a");
+    expect(parseCurlArgs(["-s"])).toBeNull();
+    expect(parseCurlCommand("curl -D h.txt https://host/api/e")?.url).toBe("https://host/api/e");
+    expect(parseCurlCommand("curl -U proxy:pw --dump-header h.txt /api/e")?.url).toBe("/api/e");
+  });
+
+  it("keeps only JSON objects as payloads", () => {
+    expect(parseJsonObject('{"a":1}')).toEqual({ a: 1 });
+    expect(parseJsonObject("[1]")).toBeNull();
+    expect(parseJsonObject("not json")).toBeNull();
+  });
+
+  it("strips base URL placeholders", () => {
+    expect(stripUrlPlaceholder("$BASE_URL/api/a")).toBe("/api/a");
+    expect(stripUrlPlaceholder("${OTTOAUTH_URL}/api/a")).toBe("/api/a");
+    expect(stripUrlPlaceholder("https://<your-host>/api/a")).toBe("/api/a");
+    expect(stripUrlPlaceholder("{{baseUrl}}/api/a")).toBe("/api/a");
+    expect(stripUrlPlaceholder("localhost:3000/api/a")).toBe("http://localhost:3000/api/a");
+    expect(stripUrlPlaceholder("https://x.dev/api/a")).toBe("https://x.dev/api/a");
+  });
+});
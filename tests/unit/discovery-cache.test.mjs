@@ -0,0 +1,189 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { createOttoauthMcpServer } from "../../src/server.mjs";
+import { startMockOttoauth } from "../helpers.mjs";
+
+const silentLogger = { error() {} };
+
+describe("persistent discovery cache", () => {
+  it("persists live discovery and serves cached tools when Ottoauth is down", async () => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-discovery-"));
+    const discoveryCachePath = path.join(tmp, "discovery.json");
+    const mock = await startMockOttoauth();
+    const baseUrl = mock.baseUrl;
+    const serverOptions = {
+      baseUrl,
+      openapiUrl: "",
+      logger: silentLogger,
+      webhookListenPort: 0,
+      webhookStorePath: path.join(tmp, "events.json"),
+      discoveryCachePath,
+    };
+
+    try {
+      const live = createOttoauthMcpServer(serverOptions);
+      await live.refreshToolsFromOttoauth();
+      expect(live.getSnapshot().toolsSource).toBe("live");
+      live.stop();
+
+      const file = JSON.parse(await fs.readFile(discoveryCachePath, "utf8"));
+      expect(file.baseUrl).toBe(baseUrl);
+      expect(file.endpoints).toHaveLength(3);
+      expect(Object.values(file.docs)[0].sha256).toMatch(/^[a-f0-9]{64}$/);
+      expect(typeof file.savedAt).toBe("string");
+
+      await mock.close();
+
+      const offline = createOttoauthMcpServer(serverOptions);
+      await offline.start();
+      try {
+        const snapshot = offline.getSnapshot();
+        expect(snapshot.toolsSource).toBe("cache");
+        expect(snapshot.cacheSavedAt).toBe(file.savedAt);
+        expect(snapshot.endpoints.map((e) => e.toolName)).toEqual(
+          file.endpoints.map((e) => e.toolName),
+        );
+
+        await offline.ensureFreshTools(true);
+        expect(offline.getSnapshot().toolsSource).toBe("cache");
+        expect(offline.getSnapshot().endpointCount).toBe(3);
+      } finally {
+        offline.stop();
+      }
+    } finally {
+      await mock.close().catch(() => undefined);
+      await fs.rm(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps cached endpoints for a service whose docs fail on the first live refresh", async () => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-discovery-"));
+    const mockConfig = { docsDelayMs: {} };
+    const mock = await startMockOttoauth(mockConfig);
+    const serverOptions = {
+      baseUrl: mock.baseUrl,
+      openapiUrl: "",
+      logger: silentLogger,
+      docsTimeoutMs: 100,
+      webhookListenPort: 0,
+      webhookStorePath: path.join(tmp, "events.json"),
+      discoveryCachePath: path.join(tmp, "discovery.json"),
+      vaultPath: "",
+    };
+
+    try {
+      const live = createOttoauthMcpServer(serverOptions);
+      await live.refreshToolsFromOttoauth();
+      live.stop();
+
+      mockConfig.docsDelayMs = { amazon: 500 };
+      const restarted = createOttoauthMcpServer(serverOptions);
+      await restarted.start();
+      try {
+        // start() serves the cache and refreshes in the background; this joins that refresh.
+        await restarted.refreshToolsFromOttoauth();
+        const snapshot = restarted.getSnapshot();
+        expect(snapshot.endpointCount).toBe(3);
+        const amazon = snapshot.discoveryReport.lastDiscovery.services.find((s) => s.serviceId === "amazon");
+        expect(amazon).toMatchObject({ keptPreviousEndpoints: 2, error: expect.any(String) });
+      } finally {
+        restarted.stop();
+      }
+    } finally {
+      await mock.close();
+      await fs.rm(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it("ignores a cache written for a different base URL", async () => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-discovery-"));
+    const discoveryCachePath = path.join(tmp, "discovery.json");
+    await fs.writeFile(
+      discoveryCachePath,
+      JSON.stringify({
+        version: 1,
+        baseUrl: "http://elsewhere.example",
+        endpoints: [{ toolName: "ottoauth_x_get_x", method: "GET", path: "/api/x", serviceId: "x" }],
+      }),
+    );
+    const app = createOttoauthMcpServer({
+      baseUrl: "http://127.0.0.1:1",
+      openapiUrl: "",
+      logger: silentLogger,
+      httpTimeoutMs: 200,
+      webhookListenPort: 0,
+      webhookStorePath: path.join(tmp, "events.json"),
+      discoveryCachePath,
+    });
+
+    try {
+      await app.start();
+      expect(app.getSnapshot().toolsSource).toBe("none");
+      expect(app.getSnapshot().endpointCount).toBe(0);
+    } finally {
+      app.stop();
+      await fs.rm(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it("drops malformed cache entries instead of failing start", async () => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-discovery-"));
+    const discoveryCachePath = path.join(tmp, "discovery.json");
+    const valid = {
+      toolName: "ottoauth_x_get_x",
+      title: "Get x",
+      description: "Reads x.",
+      method: "GET",
+      path: "/api/x",
+      serviceId: "x",
+    };
+    const writeCache = (endpoints) =>
+      fs.writeFile(discoveryCachePath, JSON.stringify({ version: 1, baseUrl: "http://127.0.0.1:1", endpoints }));
+    const options = {
+      baseUrl: "http://127.0.0.1:1",
+      openapiUrl: "",
+      logger: silentLogger,
+      httpTimeoutMs: 200,
+      webhookListenPort: 0,
+      webhookStorePath: path.join(tmp, "events.json"),
+      discoveryCachePath,
+    };
+
+    try {
+      await writeCache([
+        valid,
+        { ...valid, title: "Duplicate" },
+        { ...valid, toolName: "ottoauth_x_no_path", path: undefined },
+        { ...valid, toolName: "ottoauth_x_fetch", method: "FETCH" },
+        { ...valid, toolName: "ottoauth_x_params", pathParams: "id" },
+        { ...valid, toolName: "has spaces" },
+        null,
+      ]);
+      const app = createOttoauthMcpServer(options);
+      try {
+        await app.start();
+        expect(app.getSnapshot().toolsSource).toBe("cache");
+        expect(app.getSnapshot().endpoints.map((e) => [e.toolName, e.title])).toEqual([
+          ["ottoauth_x_get_x", "Get x"],
+        ]);
+      } finally {
+        app.stop();
+      }
+
+      // A name the server already uses for a built-in tool falls back to live discovery.
+      await writeCache([valid, { ...valid, toolName: "ottoauth_http_request" }]);
+      const clashing = createOttoauthMcpServer(options);
+      try {
+        await clashing.start();
+        expect(clashing.getSnapshot().toolsSource).toBe("none");
+        expect(clashing.getSnapshot().endpointCount).toBe(0);
+      } finally {
+        clashing.stop();
+      }
+    } finally {
+      await fs.rm(tmp, { recursive: true, force: true });
+    }
+  });
+});
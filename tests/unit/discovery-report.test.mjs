@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("discovery report", () => {
+  it("explains what happened to every service", async () => {
+    const amazonDocs = [
+      "```bash",
+      "POST /api/services/amazon/buy",
+      "POST /api/services/amazon/buy",
+      "GET /health",
+      "curl https://status.example.com/v1/ping",
+      "```",
+    ].join("\n");
+    const { app, client, mock, close } = await connectTestServer({
+      mock: {
+        services: [{ id: "amazon" }, { id: "Snack_Pass" }, { id: "missing" }, { id: "!!!" }],
+        docsByServiceId: {
+          amazon: amazonDocs,
+          Snack_Pass: "```bash\nPOST /api/services/snack_pass/order\n```",
+        },
+      },
+      refresh: false,
+    });
+    try {
+      const result = await client.callTool({
+        name: "ottoauth_discovery_report",
+        arguments: { refresh: true },
+      });
+      const report = /** @type {any} */ (result.structuredContent);
+      expect(report.lastRefreshError).toBeNull();
+      expect(report.lastRefreshAt).toEqual(expect.any(String));
+      expect(report.endpointCount).toBe(2);
+      expect(report.lastDiscovery.servicesStatus).toBe(200);
+
+      const byRawId = Object.fromEntries(report.lastDiscovery.services.map((s) => [s.rawId, s]));
+      expect(byRawId.amazon).toMatchObject({
+        serviceId: "amazon",
+        source: "markdown",
+        docsUrl: `${mock.baseUrl}/api/services/amazon`,
+        status: 200,
+        bytes: Buffer.byteLength(amazonDocs),
+        endpointsFound: 2,
+        droppedEndpoints: [
+          { method: "GET", path: "https://status.example.com/v1/ping" },
+          { method: "GET", path: "/health" },
+        ],
+        duplicatesMerged: ["POST /api/services/amazon/buy"],
+        error: null,
+      });
+      expect(byRawId.Snack_Pass).toMatchObject({ serviceId: "snack_pass", endpointsFound: 1 });
+      expect(byRawId.missing).toMatchObject({ status: 404, endpointsFound: 0, error: "HTTP 404" });
+      expect(byRawId["!!!"]).toMatchObject({ serviceId: null, error: "invalid service id" });
+
+      // A second refresh revalidates unchanged docs.
+      await app.refreshToolsFromOttoauth();
+      const again = app.getSnapshot().discoveryReport.lastDiscovery.services[0];
+      expect(again).toMatchObject({ rawId: "amazon", status: 304, notModified: true, endpointsFound: 2 });
+
+      await mock.close();
+      await expect(app.refreshToolsFromOttoauth()).rejects.toThrow();
+      const snapshot = app.getSnapshot().discoveryReport;
+      expect(snapshot.lastRefreshError).toEqual({ at: expect.any(String), message: expect.any(String) });
+      expect(snapshot.lastDiscovery.services).toHaveLength(4);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect } from "vitest";
-import { discoverEndpoints } from "../../src/server.mjs";
+import {
+  createDiscoveryCache,
+  discoverEndpoints,
+  mapWithConcurrency,
+} from "../../src/server.mjs";
 import { startMockOttoauth } from "../helpers.mjs";
 
 describe("discoverEndpoints", () => {
@@ -66,3 +70,100 @@ describe("discoverEndpoints", () => {
     }
   });
 });
+
+describe("discoverEndpoints descriptions", () => {
+  it("adds service name and description to tool descriptions", async () => {
+    const mock = await startMockOttoauth({
+      services: [{ id: "amazon", name: "Amazon", description: "Buy things on Amazon" }],
+      docsByServiceId: {
+        amazon: "## Buy\n\nBuys an item.\n\n```bash\nPOST /api/services/amazon/buy\n```",
+      },
+    });
+
+    try {
+      const [endpoint] = await discoverEndpoints({
+        baseUrl: mock.baseUrl,
+        fetchImpl: fetch,
+        httpTimeoutMs: 2_000,
+      });
+      expect(endpoint.description).toContain("Buy: Buys an item.");
+      expect(endpoint.description).toContain("Service: Amazon - Buy things on Amazon");
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe("discoverEndpoints fetching", () => {
+  it("revalidates unchanged docs with ETags instead of re-downloading", async () => {
+    const mock = await startMockOttoauth({ services: [{ id: "amazon" }] });
+    const cache = createDiscoveryCache();
+
+    try {
+      const first = await discoverEndpoints({
+        baseUrl: mock.baseUrl,
+        fetchImpl: fetch,
+        httpTimeoutMs: 2_000,
+        cache,
+      });
+      const second = await discoverEndpoints({
+        baseUrl: mock.baseUrl,
+        fetchImpl: fetch,
+        httpTimeoutMs: 2_000,
+        cache,
+      });
+
+      expect(second).toEqual(first);
+      expect(second[0]).toBe(first[0]);
+      const docsRequests = mock.requests.filter((r) => r.path === "/api/services/amazon");
+      expect(docsRequests).toHaveLength(2);
+      expect(docsRequests[0].headers["if-none-match"]).toBeUndefined();
+      expect(docsRequests[1].headers["if-none-match"]).toMatch(/^"/);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it("keeps previous endpoints for a service that times out", async () => {
+    const docsDelayMs = {};
+    const mock = await startMockOttoauth({ docsDelayMs });
+    const cache = createDiscoveryCache();
+    const logged = [];
+    const options = {
+      baseUrl: mock.baseUrl,
+      fetchImpl: fetch,
+      httpTimeoutMs: 2_000,
+      serviceTimeoutMs: 100,
+      cache,
+      logger: { error: (msg) => logged.push(msg) },
+    };
+
+    try {
+      const first = await discoverEndpoints(options);
+      docsDelayMs.computeruse = 500;
+      const second = await discoverEndpoints(options);
+      expect(second.map((e) => e.toolName)).toEqual(first.map((e) => e.toolName));
+      expect(logged.some((msg) => msg.includes("'computeruse'"))).toBe(true);
+
+      const fresh = await discoverEndpoints({ ...options, cache: createDiscoveryCache() });
+      expect(fresh.map((e) => e.serviceId)).not.toContain("computeruse");
+      expect(fresh.map((e) => e.serviceId)).toContain("amazon");
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it("bounds concurrent docs fetches", async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active -= 1;
+      return n * 2;
+    });
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(peak).toBe(2);
+  });
+});
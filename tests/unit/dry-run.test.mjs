@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { redactHeaders } from "../../src/audit.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+/** @param {Parameters<typeof connectTestServer>[0]} options */
+const connect = (options = {}) =>
+  connectTestServer({
+    profiles: { default: { username: "agent", privateKey: "pk_dry_run_key", headers: { Authorization: "Bearer t" } } },
+    ...options,
+  });
+
+describe("dry run", () => {
+  it("redacts secret-looking headers", () => {
+    expect(
+      redactHeaders({ Authorization: "Bearer x", "X-Api-Key": "k", Cookie: "c", "Idempotency-Key": "i", "X-Team": "qa" }),
+    ).toEqual({
+      Authorization: "[redacted]",
+      "X-Api-Key": "[redacted]",
+      Cookie: "[redacted]",
+      "Idempotency-Key": "i",
+      "X-Team": "qa",
+    });
+  });
+
+  it("returns the resolved request of a discovered tool without sending it", async () => {
+    const { mock, client, close } = await connect();
+    try {
+      const before = mock.requests.length;
+      const out = await client.callTool({
+        name: "ottoauth_computeruse_post_computeruse_runs_run_id_events",
+        arguments: {
+          path_params: { run_id: "run_42" },
+          query: { verbose: true },
+          body: { type: "click" },
+          headers: { "X-Trace": "abc" },
+          idempotency_key: "evt-1",
+          dry_run: true,
+        },
+      });
+
+      expect(out.isError).toBeFalsy();
+      expect(out.structuredContent).toEqual({
+        dryRun: true,
+        profile: "default",
+        request: {
+          method: "POST",
+          url: `${mock.baseUrl}/api/computeruse/runs/run_42/events?verbose=true`,
+          query: { verbose: "true" },
+          headers: {
+            Accept: expect.any(String),
+            Authorization: "[redacted]",
+            "X-Trace": "abc",
+            "Content-Type": "application/json",
+            "Idempotency-Key": "evt-1",
+          },
+          body: { type: "click", username: "agent", private_key: "pk_d…_key" },
+        },
+      });
+      expect(JSON.stringify(out)).not.toContain("pk_dry_run_key");
+      expect(mock.requests.length).toBe(before);
+    } finally {
+      await close();
+    }
+  });
+
+  it("applies to every forwarding tool when enabled server-wide", async () => {
+    const { mock, client, close } = await connect({ dryRun: true });
+    try {
+      const before = mock.requests.length;
+      const out = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "GET", path: "/api/services/amazon/status", dry_run: false },
+      });
+      expect(out.structuredContent).toMatchObject({
+        dryRun: true,
+        request: { method: "GET", url: `${mock.baseUrl}/api/services/amazon/status`, body: undefined },
+      });
+
+      const created = await client.callTool({
+        name: "ottoauth_create_account",
+        arguments: { username: "agent-dry", dry_run: false },
+      });
+      expect(created.structuredContent).toMatchObject({
+        dryRun: true,
+        request: { method: "POST", url: `${mock.baseUrl}/api/agents/create`, body: { username: "agent-dry" } },
+      });
+      expect(mock.requests.length).toBe(before);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -142,4 +142,36 @@ describe("forwardRequest", () => {
       fetchWithTimeout(slowFetch, "http://127.0.0.1:1", { method: "GET" }, 5),
     ).rejects.toThrow(/AbortError|aborted/i);
   });
+
+  it("keeps the deadline and cancellation on a body that stalls after the headers", async () => {
+    /** @type {typeof fetch} */
+    const stallingFetch = async (_url, init) => {
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('{"partial":'));
+          init?.signal?.addEventListener("abort", () =>
+            controller.error(new DOMException("This operation was aborted", "AbortError")),
+          );
+        },
+      });
+      return new Response(body, { status: 200, headers: { "content-type": "application/json" } });
+    };
+    const request = {
+      baseUrl: "http://x",
+      method: "GET",
+      path: "/api/slow",
+      retry: { maxAttempts: 1 },
+      fetchImpl: stallingFetch,
+    };
+
+    const startedAt = Date.now();
+    await expect(forwardRequest({ ...request, httpTimeoutMs: 30 })).rejects.toThrow(/aborted/);
+    expect(Date.now() - startedAt).toBeLessThan(2_000);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5);
+    await expect(
+      forwardRequest({ ...request, httpTimeoutMs: 60_000, signal: controller.signal }),
+    ).rejects.toThrow(/aborted/);
+  });
 });
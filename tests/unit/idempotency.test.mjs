@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { deriveIdempotencyKey } from "../../src/retry.mjs";
+import { forwardRequest } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+function recordingFetch() {
+  /** @type {Array<Record<string, string>>} */
+  const sent = [];
+  /** @type {typeof fetch} */
+  const fetchImpl = async (_url, init) => {
+    sent.push(/** @type {Record<string, string>} */ (init?.headers));
+    return new Response("{}", { status: 200, headers: { "content-type": "application/json" } });
+  };
+  return { fetchImpl, sent };
+}
+
+describe("idempotency keys", () => {
+  const base = { baseUrl: "http://ottoauth.test", path: "/api/services/amazon/buy", httpTimeoutMs: 1_000 };
+
+  it("derives the key from the MCP request id, method and URL", () => {
+    const input = { requestId: 7, method: "POST", url: "http://ottoauth.test/api/services/amazon/buy" };
+    expect(deriveIdempotencyKey(input)).toMatch(/^ottoauth-mcp-[0-9a-f]{32}$/);
+    expect(deriveIdempotencyKey(input)).toBe(deriveIdempotencyKey({ ...input }));
+    expect(deriveIdempotencyKey({ ...input, requestId: 8 })).not.toBe(deriveIdempotencyKey(input));
+    expect(deriveIdempotencyKey({ ...input, method: "PUT" })).not.toBe(deriveIdempotencyKey(input));
+    const { requestId: _, ...anonymous } = input;
+    expect(deriveIdempotencyKey(anonymous)).not.toBe(deriveIdempotencyKey(anonymous));
+  });
+
+  it("sends and records a key on mutating requests only", async () => {
+    const { fetchImpl, sent } = recordingFetch();
+    const post = await forwardRequest({ ...base, method: "POST", body: { qty: 1 }, requestId: 1, fetchImpl });
+    const again = await forwardRequest({ ...base, method: "POST", body: { qty: 1 }, requestId: 2, fetchImpl });
+    const get = await forwardRequest({ ...base, method: "GET", requestId: 3, fetchImpl });
+
+    expect(sent[0]["Idempotency-Key"]).toBe(post.idempotencyKey);
+    expect(again.idempotencyKey).not.toBe(post.idempotencyKey);
+    expect(sent[2]["Idempotency-Key"]).toBeUndefined();
+    expect(get.idempotencyKey).toBeUndefined();
+  });
+
+  it("keeps one derived key across the retries of a call", async () => {
+    /** @type {Array<Record<string, string>>} */
+    const sent = [];
+    /** @type {typeof fetch} */
+    const fetchImpl = async (_url, init) => {
+      sent.push(/** @type {Record<string, string>} */ (init?.headers));
+      return new Response("{}", { status: sent.length === 1 ? 503 : 200 });
+    };
+    const result = await forwardRequest({
+      ...base,
+      method: "PUT",
+      body: {},
+      retry: { maxAttempts: 2, baseDelayMs: 0, maxDelayMs: 0 },
+      fetchImpl,
+    });
+
+    expect(sent).toHaveLength(2);
+    expect(sent[1]["Idempotency-Key"]).toBe(sent[0]["Idempotency-Key"]);
+    expect(result.idempotencyKey).toBe(sent[0]["Idempotency-Key"]);
+  });
+
+  it("prefers a key supplied by the caller", async () => {
+    const { fetchImpl, sent } = recordingFetch();
+    const fromArg = await forwardRequest({ ...base, method: "PATCH", idempotencyKey: "order-42", fetchImpl });
+    const fromHeader = await forwardRequest({
+      ...base,
+      method: "DELETE",
+      headers: { "idempotency-key": "cancel-42" },
+      idempotencyKey: "ignored",
+      fetchImpl,
+    });
+
+    expect(fromArg.idempotencyKey).toBe("order-42");
+    expect(sent[0]["Idempotency-Key"]).toBe("order-42");
+    expect(fromHeader.idempotencyKey).toBe("cancel-42");
+    expect(sent[1]).toMatchObject({ "idempotency-key": "cancel-42" });
+    expect(sent[1]["Idempotency-Key"]).toBeUndefined();
+  });
+
+  it("exposes idempotency_key on mutating tools and forwards it", async () => {
+    const { client, mock, close } = await connectTestServer();
+    try {
+      const { tools } = await client.listTools();
+      const schemaOf = (name) => tools.find((t) => t.name === name)?.inputSchema.properties ?? {};
+      expect(schemaOf("ottoauth_amazon_post_services_amazon_buy").idempotency_key).toBeDefined();
+      expect(schemaOf("ottoauth_http_request").idempotency_key).toBeDefined();
+
+      const generated = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: {} },
+      });
+      expect(generated.structuredContent?.idempotencyKey).toMatch(/^ottoauth-mcp-/);
+      expect(mock.requests.at(-1)?.headers["idempotency-key"]).toBe(generated.structuredContent?.idempotencyKey);
+
+      const repeated = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: {} },
+      });
+      expect(repeated.structuredContent?.idempotencyKey).toMatch(/^ottoauth-mcp-/);
+      expect(repeated.structuredContent?.idempotencyKey).not.toBe(generated.structuredContent?.idempotencyKey);
+
+      const explicit = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: {}, idempotency_key: "buy-once" },
+      });
+      expect(explicit.structuredContent?.idempotencyKey).toBe("buy-once");
+      expect(mock.requests.at(-1)?.headers["idempotency-key"]).toBe("buy-once");
+    } finally {
+      await close();
+    }
+  });
+});
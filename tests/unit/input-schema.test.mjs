@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import {
+  buildEndpointInputSchema,
+  buildEndpointTool,
+  inferSchemaFromExample,
+  mergeEndpointTools,
+} from "../../src/server.mjs";
+
+describe("per-endpoint input schemas", () => {
+  it("falls back to the generic schema when nothing can be inferred", () => {
+    const endpoint = buildEndpointTool("amazon", "POST", "/api/services/amazon/history");
+    const shape = buildEndpointInputSchema(endpoint);
+    const schema = z.object(shape);
+    expect(schema.safeParse({}).success).toBe(true);
+    expect(schema.safeParse({ body: { anything: [1, 2] } }).success).toBe(true);
+  });
+
+  it("requires explicit path params", () => {
+    const endpoint = buildEndpointTool(
+      "computeruse",
+      "POST",
+      "/api/computeruse/runs/:run_id/events",
+    );
+    const schema = z.object(buildEndpointInputSchema(endpoint));
+    expect(schema.safeParse({}).success).toBe(false);
+    expect(schema.safeParse({ path_params: {} }).success).toBe(false);
+    expect(schema.safeParse({ path_params: { run_id: "r1" } }).success).toBe(true);
+
+    const json = z.toJSONSchema(schema);
+    expect(json.required).toContain("path_params");
+    expect(json.properties.path_params.required).toEqual(["run_id"]);
+  });
+
+  it("types body properties from the docs example", () => {
+    const endpoint = buildEndpointTool("amazon", "POST", "/api/services/amazon/buy", {
+      bodyExample: { item_url: "https://amazon.com/x", quantity: 1, gift: false },
+    });
+    const schema = z.object(buildEndpointInputSchema(endpoint));
+    expect(schema.safeParse({ body: { item_url: "u", quantity: 2 } }).success).toBe(true);
+    expect(schema.safeParse({ body: { quantity: "two" } }).success).toBe(false);
+
+    const parsed = schema.parse({ body: { item_url: "u", extra: "kept" } });
+    expect(parsed.body.extra).toBe("kept");
+
+    const json = z.toJSONSchema(schema);
+    expect(Object.keys(json.properties.body.properties)).toEqual(["item_url", "quantity", "gift"]);
+  });
+
+  it("infers nested objects and arrays", () => {
+    const schema = inferSchemaFromExample({ items: [{ sku: "a", qty: 1 }], meta: null });
+    expect(schema.safeParse({ items: [{ sku: "b", qty: 3 }], meta: { x: 1 } }).success).toBe(true);
+    expect(schema.safeParse({ items: [{ sku: 5 }] }).success).toBe(false);
+  });
+
+  it("keeps body examples when merging duplicate discoveries", () => {
+    const withBody = buildEndpointTool("amazon", "POST", "/api/services/amazon/buy", {
+      bodyExample: { a: 1 },
+    });
+    const bare = buildEndpointTool("amazon", "POST", "/api/services/amazon/buy");
+    expect(mergeEndpointTools(withBody, bare).bodyExample).toEqual({ a: 1 });
+    expect(mergeEndpointTools(undefined, bare)).toBe(bare);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildEndpointTool,
+  createOttoauthMcpServer,
+  searchEndpointTools,
+} from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("searchEndpointTools", () => {
+  const endpoints = [
+    buildEndpointTool("amazon", "POST", "/api/services/amazon/buy", { heading: "Buy an item" }),
+    buildEndpointTool("amazon", "POST", "/api/services/amazon/history"),
+    buildEndpointTool("snackpass", "POST", "/api/services/snackpass/order", {
+      prose: "Order food for pickup.",
+    }),
+  ];
+
+  it("ranks by field hits and honours service and limit", () => {
+    const results = searchEndpointTools(endpoints, "amazon buy");
+    expect(results.map((r) => r.toolName)).toEqual([
+      "ottoauth_amazon_post_services_amazon_buy",
+      "ottoauth_amazon_post_services_amazon_history",
+    ]);
+    expect(results[0].summary).toBe("Buy an item");
+    expect(searchEndpointTools(endpoints, "food").map((r) => r.serviceId)).toEqual(["snackpass"]);
+    expect(searchEndpointTools(endpoints, "post", { serviceId: "snackpass" })).toHaveLength(1);
+    expect(searchEndpointTools(endpoints, "post", { limit: 2 })).toHaveLength(2);
+    expect(searchEndpointTools(endpoints, "nothing-matches")).toEqual([]);
+  });
+
+  it("counts hits in service docs", () => {
+    const docsByService = new Map([["amazon", "Track your parcels with history."]]);
+    expect(
+      searchEndpointTools(endpoints, "parcels", { docsByService }).map((r) => r.serviceId),
+    ).toEqual(["amazon", "amazon"]);
+  });
+});
+
+describe("lazy tool mode", () => {
+  it("exposes meta-tools instead of one tool per endpoint", async () => {
+    const { app, client, mock, close } = await connectTestServer({ toolMode: "lazy" });
+    try {
+      expect(app.getSnapshot()).toMatchObject({ toolMode: "lazy", endpointCount: 3 });
+
+      const { tools } = await client.listTools();
+      const names = tools.map((t) => t.name);
+      expect(names).toEqual(
+        expect.arrayContaining(["ottoauth_search_tools", "ottoauth_describe_tool", "ottoauth_invoke"]),
+      );
+      expect(names.some((name) => name.startsWith("ottoauth_amazon_"))).toBe(false);
+
+      const search = await client.callTool({
+        name: "ottoauth_search_tools",
+        arguments: { query: "computeruse events" },
+      });
+      const [hit] = /** @type {any} */ (search.structuredContent).results;
+      expect(hit.toolName).toBe("ottoauth_computeruse_post_computeruse_runs_run_id_events");
+
+      const described = await client.callTool({
+        name: "ottoauth_describe_tool",
+        arguments: { tool_name: hit.toolName },
+      });
+      const schema = /** @type {any} */ (described.structuredContent).inputSchema;
+      expect(schema.properties.path_params.required).toEqual(["run_id"]);
+      expect(schema.required).toContain("path_params");
+
+      const invalid = await client.callTool({
+        name: "ottoauth_invoke",
+        arguments: { tool_name: hit.toolName, arguments: {} },
+      });
+      expect(invalid.isError).toBe(true);
+      expect(/** @type {any} */ (invalid.structuredContent).error).toBe("invalid_arguments");
+
+      const invoked = await client.callTool({
+        name: "ottoauth_invoke",
+        arguments: {
+          tool_name: hit.toolName,
+          arguments: { path_params: { run_id: "run_1" }, body: { event: "done" } },
+        },
+      });
+      expect(invoked.isError).toBe(false);
+      expect(mock.requests.at(-1)).toMatchObject({
+        method: "POST",
+        path: "/api/computeruse/runs/run_1/events",
+        body: { event: "done" },
+      });
+
+      const unknown = await client.callTool({
+        name: "ottoauth_invoke",
+        arguments: { tool_name: "ottoauth_amazon_buy" },
+      });
+      expect(unknown.structuredContent).toMatchObject({
+        error: "unknown_tool",
+        suggestions: expect.arrayContaining(["ottoauth_amazon_post_services_amazon_buy"]),
+      });
+    } finally {
+      await close();
+    }
+  });
+
+  it("rejects unknown modes", () => {
+    expect(() => createOttoauthMcpServer({ toolMode: /** @type {any} */ ("sleepy") })).toThrow(
+      /Unknown tool mode/,
+    );
+  });
+});
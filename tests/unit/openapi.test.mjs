@@ -0,0 +1,228 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import {
+  extractOperationsFromOpenApi,
+  isOpenApiUrl,
+  parseOpenApiDocument,
+  resolveRefs,
+} from "../../src/openapi.mjs";
+import {
+  buildEndpointInputSchema,
+  createOttoauthMcpServer,
+  discoverEndpoints,
+  extractEndpointsFromOpenApi,
+} from "../../src/server.mjs";
+import { startMockOttoauth } from "../helpers.mjs";
+
+const spec = {
+  openapi: "3.0.3",
+  servers: [{ url: "https://ottoauth.example.com/api" }],
+  components: {
+    schemas: {
+      BuyRequest: {
+        type: "object",
+        properties: {
+          item_url: { type: "string" },
+          quantity: { type: "integer", minimum: 1 },
+        },
+        required: ["item_url"],
+      },
+    },
+  },
+  paths: {
+    "/services/amazon/buy": {
+      post: {
+        operationId: "buyAmazonItem",
+        summary: "Buy an item on Amazon",
+        description: "Charges the agent balance.",
+        tags: ["amazon"],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/BuyRequest" } } },
+        },
+      },
+    },
+    "/computeruse/runs/{run_id}/events": {
+      parameters: [{ name: "run_id", in: "path", required: true, schema: { type: "string" } }],
+      get: {
+        operationId: "listRunEvents",
+        parameters: [
+          { name: "limit", in: "query", schema: { type: "integer" }, description: "Max events." },
+        ],
+      },
+    },
+  },
+};
+
+describe("openapi parsing", () => {
+  it("detects spec urls and documents", () => {
+    expect(isOpenApiUrl("https://x.dev/spec/openapi.yaml")).toBe(true);
+    expect(isOpenApiUrl("https://x.dev/api/services/amazon")).toBe(false);
+    expect(parseOpenApiDocument(JSON.stringify(spec))).not.toBeNull();
+    expect(parseOpenApiDocument("openapi: '3.1.0'\npaths: {}\n")).toEqual({ openapi: "3.1.0", paths: {} });
+    expect(parseOpenApiDocument("# Markdown docs")).toBeNull();
+    expect(parseOpenApiDocument(JSON.stringify({ swagger: "2.0", paths: {} }))).toBeNull();
+  });
+
+  it("flattens operations with resolved refs and server prefix", () => {
+    const ops = extractOperationsFromOpenApi(spec);
+    expect(ops.map((o) => `${o.method} ${o.path}`)).toEqual([
+      "POST /api/services/amazon/buy",
+      "GET /api/computeruse/runs/:run_id/events",
+    ]);
+    expect(ops[0].schemas.body.required).toEqual(["item_url"]);
+    expect(ops[0].schemas.bodyRequired).toBe(true);
+    expect(ops[1].schemas.path.required).toEqual(["run_id"]);
+    expect(ops[1].schemas.query.properties.limit.description).toBe("Max events.");
+  });
+
+  it("maps OpenAPI 3.0 nullable onto JSON Schema types", () => {
+    const nullable = {
+      openapi: "3.0.3",
+      paths: {
+        "/api/services/amazon/buy": {
+          post: {
+            parameters: [{ name: "coupon", in: "query", schema: { type: "string", nullable: true } }],
+            requestBody: {
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      note: { type: "string", nullable: true },
+                      size: { type: "string", enum: ["s", "m"], nullable: true },
+                      gift: { $ref: "#/components/schemas/Gift" },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      components: { schemas: { Gift: { nullable: true, properties: { to: { type: "string" } } } } },
+    };
+    const [op] = extractOperationsFromOpenApi(nullable);
+    expect(op.schemas.query.properties.coupon).toEqual({ type: ["string", "null"] });
+    expect(op.schemas.body.properties.size).toEqual({ type: ["string", "null"], enum: ["s", "m", null] });
+    expect(op.schemas.body.properties.gift).toEqual({
+      anyOf: [{ properties: { to: { type: "string" } } }, { type: "null" }],
+    });
+
+    const [endpoint] = extractEndpointsFromOpenApi(nullable, "amazon", "http://127.0.0.1:3000");
+    const buy = z.object(buildEndpointInputSchema(endpoint));
+    expect(buy.safeParse({ query: { coupon: null }, body: { note: null, size: null, gift: null } }).success).toBe(
+      true,
+    );
+    expect(buy.safeParse({ body: { size: "xl" } }).success).toBe(false);
+  });
+
+  it("cuts cyclic refs", () => {
+    const cyclic = { components: { schemas: { Node: { properties: { next: { $ref: "#/components/schemas/Node" } } } } } };
+    const out = resolveRefs(cyclic, { $ref: "#/components/schemas/Node" });
+    expect(out.properties.next).toEqual({});
+  });
+
+  it("builds endpoint tools with operation ids and typed schemas", () => {
+    const endpoints = extractEndpointsFromOpenApi(spec, "amazon", "http://127.0.0.1:3000");
+    expect(endpoints[0].toolName).toBe("ottoauth_amazon_buy_amazon_item");
+    expect(endpoints[0].title).toBe("Buy an item on Amazon");
+    expect(endpoints[0].description).toContain("Charges the agent balance.");
+    expect(endpoints[0].source).toBe("openapi");
+
+    const buy = z.object(buildEndpointInputSchema(endpoints[0]));
+    expect(buy.safeParse({}).success).toBe(false);
+    expect(buy.safeParse({ body: { item_url: "u", quantity: 0 } }).success).toBe(false);
+    expect(buy.safeParse({ body: { item_url: "u", quantity: 2 } }).success).toBe(true);
+
+    const events = z.object(buildEndpointInputSchema(endpoints[1]));
+    expect(events.safeParse({ path_params: { run_id: "r" } }).success).toBe(true);
+    expect(events.safeParse({ path_params: { run_id: "r" }, query: { limit: "x" } }).success).toBe(false);
+  });
+});
+
+describe("openapi discovery", () => {
+  it("prefers a server-wide spec over markdown docs", async () => {
+    const mock = await startMockOttoauth({
+      services: [{ id: "amazon" }, { id: "computeruse" }],
+      handlers: { "GET /api/openapi.json": () => spec },
+    });
+
+    try {
+      const endpoints = await discoverEndpoints({
+        baseUrl: mock.baseUrl,
+        fetchImpl: fetch,
+        httpTimeoutMs: 2_000,
+        openapiUrl: `${mock.baseUrl}/api/openapi.json`,
+      });
+      expect(endpoints.map((e) => e.toolName)).toEqual([
+        "ottoauth_amazon_buy_amazon_item",
+        "ottoauth_computeruse_list_run_events",
+      ]);
+      expect(mock.requests.some((r) => r.path === "/api/services/amazon")).toBe(false);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it("reads per-service yaml specs and falls back to markdown for the rest", async () => {
+    const yaml = [
+      "openapi: 3.0.0",
+      "paths:",
+      "  /api/services/amazon/buy:",
+      "    post:",
+      "      operationId: buy",
+      "      summary: Buy something",
+    ].join("\n");
+    const mock = await startMockOttoauth({
+      services: [{ id: "amazon", docsUrl: "/specs/amazon.yaml" }, { id: "computeruse" }],
+      handlers: { "GET /specs/amazon.yaml": () => yaml },
+    });
+
+    try {
+      const endpoints = await discoverEndpoints({
+        baseUrl: mock.baseUrl,
+        fetchImpl: fetch,
+        httpTimeoutMs: 2_000,
+        openapiUrl: `${mock.baseUrl}/api/openapi.json`,
+      });
+      expect(endpoints.map((e) => e.toolName)).toEqual([
+        "ottoauth_amazon_buy",
+        "ottoauth_computeruse_post_computeruse_runs_run_id_events",
+      ]);
+      expect(endpoints[1].source).toBe("markdown");
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe("default openapi location", () => {
+  it("stops probing it once the server has none", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-openapi-"));
+    const mock = await startMockOttoauth();
+    const app = createOttoauthMcpServer({
+      baseUrl: mock.baseUrl,
+      logger: { error() {} },
+      webhookStorePath: path.join(dir, "webhooks.json"),
+      discoveryCachePath: path.join(dir, "cache.json"),
+      vaultPath: "",
+      audit: { path: "" },
+    });
+    const probes = () => mock.requests.filter((r) => r.path === "/api/openapi.json").length;
+
+    try {
+      await app.refreshToolsFromOttoauth();
+      expect(probes()).toBe(1);
+      await app.refreshToolsFromOttoauth();
+      expect(probes()).toBe(1);
+    } finally {
+      app.stop();
+      await mock.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
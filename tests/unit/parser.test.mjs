@@ -1,8 +1,10 @@
 import { describe, it, expect } from "vitest";
 import {
+  extractCurlJsonBody,
   extractEndpointsFromMarkdown,
   normalizeDiscoveredPath,
   safeServiceId,
+  splitMarkdown,
 } from "../../src/server.mjs";
 
 describe("endpoint parsing", () => {
@@ -71,3 +73,182 @@ describe("endpoint parsing", () => {
     ]);
   });
 });
+
+describe("body example extraction", () => {
+  const baseUrl = "http://127.0.0.1:3000";
+
+  it("captures JSON from curl -d arguments", () => {
+    const md = [
+      "```bash",
+      "curl -s -X POST /api/services/amazon/buy \\",
+      "  -H 'Content-Type: application/json' \\",
+      "  -d '{\"username\":\"agent\",\"max_price\":25}'",
+      "curl -X POST /api/services/amazon/history",
+      "```",
+    ].join("\n");
+    const endpoints = extractEndpointsFromMarkdown(md, "amazon", baseUrl);
+    expect(endpoints[0].bodyExample).toEqual({ username: "agent", max_price: 25 });
+    expect(endpoints[1].bodyExample).toBeNull();
+  });
+
+  it("captures double-quoted curl payloads", () => {
+    expect(extractCurlJsonBody('curl -X POST /api/x --data "{\\"a\\": 1}"')).toEqual({ a: 1 });
+    expect(extractCurlJsonBody("curl -X POST /api/x -d 'not json'")).toBeNull();
+  });
+
+  it("attaches fenced JSON examples to the preceding endpoint", () => {
+    const md = [
+      "```bash",
+      "POST /api/services/amazon/buy",
+      "```",
+      "Body:",
+      "```json",
+      '{ "item_url": "https://amazon.com/x", "quantity": 1 }',
+      "```",
+      "```bash",
+      "GET /api/services/amazon/orders",
+      "```",
+      "```json",
+      '{ "orders": [] }',
+      "```",
+    ].join("\n");
+    const endpoints = extractEndpointsFromMarkdown(md, "amazon", baseUrl);
+    expect(endpoints[0].bodyExample).toEqual({ item_url: "https://amazon.com/x", quantity: 1 });
+    expect(endpoints[1].bodyExample).toBeNull();
+  });
+
+  it("does not attach fenced JSON labelled as a response", () => {
+    const md = [
+      "```bash",
+      "POST /api/services/amazon/buy",
+      "```",
+      "Response:",
+      "```json",
+      '{ "order_id": "o1", "status": "placed", "total": 12.5 }',
+      "```",
+      "```bash",
+      "POST /api/services/amazon/history",
+      "```",
+      "### Example output",
+      "",
+      "Returned on success.",
+      "```json",
+      '{ "orders": [] }',
+      "```",
+      "```bash",
+      "POST /api/services/amazon/cancel",
+      "```",
+      "Send the order id. The reply echoes it.",
+      "```json",
+      '{ "order_id": "o1" }',
+      "```",
+    ].join("\n");
+    const endpoints = extractEndpointsFromMarkdown(md, "amazon", baseUrl);
+    expect(endpoints.map((e) => e.bodyExample)).toEqual([null, null, { order_id: "o1" }]);
+  });
+
+  it("records path params for discovered endpoints", () => {
+    const md = "```bash\ncurl -X POST /api/computeruse/runs/RUN_ID_HERE/events\n```";
+    const [endpoint] = extractEndpointsFromMarkdown(md, "computeruse", baseUrl);
+    expect(endpoint.pathParams).toEqual(["run_id"]);
+  });
+});
+
+describe("endpoint descriptions", () => {
+  const baseUrl = "http://127.0.0.1:3000";
+  const md = [
+    "# Amazon",
+    "",
+    "Order physical goods from Amazon.",
+    "",
+    "## Buy an item",
+    "",
+    "Places an order for the given product URL and ships it to the agent address.",
+    "",
+    "```bash",
+    "POST /api/services/amazon/buy",
+    "```",
+    "",
+    "Each order costs the item price plus a $1.50 fee. Orders ship in 2 days.",
+    "",
+    "## Order history",
+    "",
+    "```bash",
+    "curl -X POST /api/services/amazon/history",
+    "```",
+  ].join("\n");
+
+  it("uses the nearest heading, prose and pricing sentence", () => {
+    const [buy] = extractEndpointsFromMarkdown(md, "amazon", baseUrl);
+    expect(buy.description.split("\n")).toEqual([
+      "Buy an item: Places an order for the given product URL and ships it to the agent address.",
+      "Cost: Each order costs the item price plus a $1.50 fee.",
+      "Passthrough to POST /api/services/amazon/buy on Ottoauth.",
+    ]);
+  });
+
+  it("includes service name and description from /api/services", () => {
+    const [, history] = extractEndpointsFromMarkdown(md, "amazon", baseUrl, {
+      name: "Amazon",
+      description: "Shop on Amazon",
+    });
+    expect(history.description.split("\n")).toEqual([
+      "Order history",
+      "Service: Amazon - Shop on Amazon",
+      "Passthrough to POST /api/services/amazon/history on Ottoauth.",
+    ]);
+  });
+
+  it("keeps the passthrough description when docs have no prose", () => {
+    const [endpoint] = extractEndpointsFromMarkdown(
+      "```bash\nPOST /api/services/amazon/buy\n```",
+      "amazon",
+      baseUrl,
+    );
+    expect(endpoint.description).toBe("Passthrough to POST /api/services/amazon/buy on Ottoauth.");
+  });
+
+  it("splits markdown into ordered items", () => {
+    expect(splitMarkdown("# T\n\nline one\nline two\n\n```sh\nGET /api/x\n```\ntail").map((i) => i.type))
+      .toEqual(["heading", "prose", "code", "prose"]);
+  });
+});
+
+describe("curl forms in docs", () => {
+  const baseUrl = "http://127.0.0.1:3000";
+  const parse = (code) =>
+    extractEndpointsFromMarkdown(`\`\`\`bash\n${code}\n\`\`\``, "amazon", baseUrl).map(
+      (e) => `${e.method} ${e.path}`,
+    );
+
+  it("finds implicit, reordered and line-continued curl commands", () => {
+    expect(parse("curl $BASE_URL/api/services/amazon/orders")).toEqual([
+      "GET /api/services/amazon/orders",
+    ]);
+    expect(parse("curl https://x.dev/api/services/amazon/buy -d '{}'")).toEqual([
+      "POST /api/services/amazon/buy",
+    ]);
+    expect(parse("curl https://x.dev/api/services/amazon/buy -X PUT")).toEqual([
+      "PUT /api/services/amazon/buy",
+    ]);
+    expect(parse("curl \\\n  --request DELETE \\\n  /api/services/amazon/orders/ORDER_ID")).toEqual([
+      "DELETE /api/services/amazon/orders/:order_id",
+    ]);
+  });
+
+  it("keeps bare METHOD lines and source order alongside curl commands", () => {
+    expect(
+      parse("GET /api/services/amazon/a\ncurl -X POST /api/services/amazon/b\nPOST /api/services/amazon/c"),
+    ).toEqual([
+      "GET /api/services/amazon/a",
+      "POST /api/services/amazon/b",
+      "POST /api/services/amazon/c",
+    ]);
+  });
+
+  it("records documented headers", () => {
+    const md = "```bash\ncurl -H 'X-Api-Key: KEY' -H 'Content-Type: application/json' /api/services/amazon/orders\n```";
+    const [endpoint] = extractEndpointsFromMarkdown(md, "amazon", baseUrl);
+    expect(endpoint.headerExample).toEqual({ "X-Api-Key": "KEY", "Content-Type": "application/json" });
+  });
+});
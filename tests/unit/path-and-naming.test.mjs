@@ -1,7 +1,12 @@
 import { describe, it, expect } from "vitest";
 import {
+  MAX_TOOL_NAME_LENGTH,
   applyPathParams,
+  assignToolNames,
+  boundToolName,
+  buildEndpointTool,
   normalizePath,
+  resolveRequestPath,
   getBaseUrl,
   toToolName,
   responseToMcp,
@@ -19,6 +24,17 @@ describe("path and naming helpers", () => {
     expect(() => normalizePath("api/services")).toThrow(/must start/);
   });
 
+  it("resolves passthrough paths to the path that is sent and the path rules see", () => {
+    expect(resolveRequestPath("/api/services/%61mazon/x/../%2562uy?qty=2#top")).toEqual({
+      path: "/api/services/%61mazon/%2562uy",
+      matchPath: "/api/services/amazon/buy",
+      query: { qty: "2" },
+    });
+    expect(resolveRequestPath("/api/items/a%2Fb")).toMatchObject({ path: "/api/items/a%2Fb", matchPath: "/api/items/a/b" });
+    expect(resolveRequestPath("/api/runs/a%3Fb%20c").matchPath).toBe("/api/runs/a%3Fb%20c");
+    expect(() => resolveRequestPath("/api/runs/100%")).toThrow(/invalid percent-encoding/);
+  });
+
   it("applies path parameters", () => {
     expect(applyPathParams("/api/runs/:run_id/events", { run_id: "abc-1" })).toBe(
       "/api/runs/abc-1/events",
@@ -63,3 +79,52 @@ describe("path and naming helpers", () => {
     expect(out.content[0].type).toBe("text");
   });
 });
+
+describe("tool name bounding and collisions", () => {
+  const longPath = `/api/services/amazon/${"very_long_segment/".repeat(6)}buy`;
+
+  it("bounds long names with a stable hash suffix", () => {
+    const name = toToolName("amazon", "POST", longPath);
+    expect(name.length).toBeLessThanOrEqual(MAX_TOOL_NAME_LENGTH);
+    expect(name).toMatch(/^ottoauth_amazon_post_services_amazon_very_long.*_[a-f0-9]{8}$/);
+    expect(toToolName("amazon", "POST", longPath)).toBe(name);
+    expect(toToolName("amazon", "POST", `${longPath}2`)).not.toBe(name);
+  });
+
+  it("sanitizes invalid characters", () => {
+    expect(boundToolName("ottoauth_a.b c", "k")).toBe("ottoauth_a_b_c");
+  });
+
+  it("suffixes colliding names and reports the collision", () => {
+    const a = buildEndpointTool("svc", "GET", "/api/svc/a-b");
+    const b = buildEndpointTool("svc", "GET", "/api/svc/ab");
+    expect(a.toolName).toBe(b.toolName);
+
+    const { endpoints, collisions } = assignToolNames([a, b]);
+    const names = endpoints.map((e) => e.toolName);
+    expect(new Set(names).size).toBe(2);
+    expect(names).toContain("ottoauth_svc_get_svc_ab");
+    expect(collisions).toEqual([
+      { toolName: "ottoauth_svc_get_svc_ab", keys: ["GET /api/svc/a-b", "GET /api/svc/ab"] },
+    ]);
+  });
+
+  it("keeps names stable across refreshes via the alias map", () => {
+    const aliases = new Map();
+    const b = buildEndpointTool("svc", "GET", "/api/svc/ab");
+    const first = assignToolNames([b], aliases);
+    expect(first.endpoints[0].toolName).toBe("ottoauth_svc_get_svc_ab");
+
+    // A newly documented path that sorts first must not steal the existing name.
+    const a = buildEndpointTool("svc", "GET", "/api/svc/a-b");
+    const second = assignToolNames([a, b], aliases);
+    const byPath = Object.fromEntries(second.endpoints.map((e) => [e.path, e.toolName]));
+    expect(byPath["/api/svc/ab"]).toBe("ottoauth_svc_get_svc_ab");
+    expect(byPath["/api/svc/a-b"]).toMatch(/^ottoauth_svc_get_svc_ab_[a-f0-9]{8}$/);
+
+    const third = assignToolNames([b, a], aliases);
+    expect(third.endpoints.map((e) => e.toolName).sort()).toEqual(
+      second.endpoints.map((e) => e.toolName).sort(),
+    );
+  });
+});
@@ -0,0 +1,123 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { loadProfileConfigs, resolveProfiles } from "../../src/profiles.mjs";
+import { createOttoauthMcpServer, getBaseUrl } from "../../src/server.mjs";
+import { connectTestServer, startMockOttoauth } from "../helpers.mjs";
+
+const context = { baseUrl: "http://localhost:3000", normalizeBaseUrl: getBaseUrl, env: {} };
+
+describe("profile config", () => {
+  it("always has a default profile and resolves keys from env", () => {
+    const profiles = resolveProfiles(
+      {
+        ops: { baseUrl: "https://ops.example.com/", username: "ops-agent", privateKeyEnv: "OPS_KEY" },
+      },
+      { ...context, env: { OPS_KEY: "pk_ops" } },
+    );
+    expect([...profiles.keys()]).toEqual(["default", "ops"]);
+    expect(profiles.get("default")).toMatchObject({ baseUrl: "http://localhost:3000", username: null });
+    expect(profiles.get("ops")).toEqual({
+      name: "ops",
+      baseUrl: "https://ops.example.com",
+      username: "ops-agent",
+      privateKey: "pk_ops",
+      headers: {},
+    });
+  });
+
+  it("rejects inconsistent profiles", () => {
+    expect(() => resolveProfiles({ "bad name": {} }, context)).toThrow(/Invalid profile name/);
+    expect(() => resolveProfiles({ a: { privateKey: "k" } }, context)).toThrow(/no username/);
+    expect(() => resolveProfiles({ a: { username: "u", privateKeyEnv: "MISSING" } }, context)).toThrow(
+      /MISSING/,
+    );
+  });
+
+  it("loads configs from options, env JSON or a file", async () => {
+    expect(loadProfileConfigs({ a: {} }, { OTTOAUTH_PROFILES: "{}" })).toEqual({ a: {} });
+    expect(loadProfileConfigs(undefined, { OTTOAUTH_PROFILES: '{"b":{}}' })).toEqual({ b: {} });
+    expect(() => loadProfileConfigs(undefined, { OTTOAUTH_PROFILES: "nope" })).toThrow(/JSON object/);
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-profiles-"));
+    try {
+      const file = path.join(dir, "profiles.json");
+      await fs.writeFile(file, '{"c":{"username":"u"}}');
+      expect(loadProfileConfigs(undefined, { OTTOAUTH_PROFILES_PATH: file })).toEqual({ c: { username: "u" } });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("profiles on the MCP server", () => {
+  it("routes calls through the selected profile's base URL, credentials and headers", async () => {
+    const secondary = await startMockOttoauth();
+    const { client, mock: primary, close } = await connectTestServer({
+      profiles: {
+        default: { username: "main-agent", privateKey: "pk_main" },
+        staging: {
+          baseUrl: secondary.baseUrl,
+          username: "staging-agent",
+          privateKey: "pk_staging",
+          headers: { "X-Team": "qa" },
+        },
+      },
+    });
+    try {
+      const { tools } = await client.listTools();
+      const buy = tools.find((t) => t.name === "ottoauth_amazon_post_services_amazon_buy");
+      expect(buy?.inputSchema.properties?.profile).toMatchObject({ enum: ["default", "staging"] });
+
+      await client.callTool({ name: "ottoauth_amazon_post_services_amazon_buy", arguments: { body: {} } });
+      expect(primary.requests.at(-1)?.body).toEqual({ username: "main-agent", private_key: "pk_main" });
+
+      await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: { item_url: "x" }, profile: "staging" },
+      });
+      expect(secondary.requests.at(-1)).toMatchObject({
+        path: "/api/services/amazon/buy",
+        body: { item_url: "x", username: "staging-agent", private_key: "pk_staging" },
+        headers: expect.objectContaining({ "x-team": "qa" }),
+      });
+
+      const selected = await client.callTool({ name: "ottoauth_select_profile", arguments: { name: "staging" } });
+      expect(selected.structuredContent).toEqual({ activeProfile: "staging", previousProfile: "default" });
+      await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/history" },
+      });
+      expect(secondary.requests.at(-1)?.path).toBe("/api/services/amazon/history");
+
+      const listed = await client.callTool({ name: "ottoauth_list_profiles", arguments: {} });
+      expect(listed.structuredContent).toMatchObject({
+        activeProfile: "staging",
+        profiles: [
+          { name: "default", username: "main-agent", credentials: "profile", active: false },
+          { name: "staging", baseUrl: secondary.baseUrl, headers: ["X-Team"], active: true },
+        ],
+      });
+      expect(JSON.stringify(listed.content)).not.toContain("pk_");
+
+      const unknown = await client.callTool({ name: "ottoauth_select_profile", arguments: { name: "prod" } });
+      expect(unknown.structuredContent).toMatchObject({ error: "unknown_profile" });
+    } finally {
+      await close();
+      await secondary.close();
+    }
+  });
+
+  it("omits the profile argument when only the default profile exists", async () => {
+    const { client, close } = await connectTestServer({ profiles: {}, refresh: false });
+    try {
+      const { tools } = await client.listTools();
+      const passthrough = tools.find((t) => t.name === "ottoauth_http_request");
+      expect(passthrough?.inputSchema.properties?.profile).toBeUndefined();
+      expect(() => createOttoauthMcpServer({ profile: "missing", profiles: {} })).toThrow(/Unknown profile/);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { PromptListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { connectTestServer } from "../helpers.mjs";
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe("service prompts", () => {
+  it("publishes a prompt per service bundling docs, tools and conventions", async () => {
+    const services = [
+      { id: "amazon", name: "Amazon", description: "Buy things." },
+      { id: "computeruse" },
+    ];
+    let notifications = 0;
+    const { app, client, close } = await connectTestServer({
+      mock: { services },
+      refresh: false,
+      setupClient: (client) =>
+        client.setNotificationHandler(PromptListChangedNotificationSchema, () => {
+          notifications += 1;
+        }),
+    });
+    try {
+      expect((await client.listPrompts()).prompts.map((p) => p.name)).toEqual(["use_ottoauth"]);
+
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(1);
+
+      const { prompts } = await client.listPrompts();
+      expect(prompts.map((p) => p.name).sort()).toEqual([
+        "use_amazon_service",
+        "use_computeruse_service",
+        "use_ottoauth",
+      ]);
+      const amazon = prompts.find((p) => p.name === "use_amazon_service");
+      expect(amazon?.title).toBe("Use Amazon service");
+      expect(amazon?.description).toContain("Buy things.");
+      expect(amazon?.arguments).toEqual([
+        expect.objectContaining({ name: "task", required: false }),
+      ]);
+
+      const result = await client.getPrompt({
+        name: "use_computeruse_service",
+        arguments: { task: "Start a run" },
+      });
+      const text = result.messages[0].content.type === "text" ? result.messages[0].content.text : "";
+      expect(text).toContain("ottoauth_computeruse_post_computeruse_runs_run_id_events");
+      expect(text).toContain("path_params (required): run_id");
+      expect(text).toContain("ottoauth_http_request");
+      expect(text).toContain("curl -X POST /api/computeruse/runs/RUN_ID_HERE/events");
+      expect(text).toMatch(/## Task\n\nStart a run$/);
+
+      const overview = await client.getPrompt({ name: "use_ottoauth" });
+      const overviewText =
+        overview.messages[0].content.type === "text" ? overview.messages[0].content.text : "";
+      expect(overviewText).toContain("Amazon (`amazon`, 2 tools, prompt `use_amazon_service`): Buy things.");
+
+      services.pop();
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(2);
+      expect((await client.listPrompts()).prompts.map((p) => p.name).sort()).toEqual([
+        "use_amazon_service",
+        "use_ottoauth",
+      ]);
+    } finally {
+      await close();
+    }
+  });
+});
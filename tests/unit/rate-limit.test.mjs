@@ -0,0 +1,121 @@
+import { describe, it, expect } from "vitest";
+import { createRateLimiter, resolveRateLimitConfig } from "../../src/ratelimit.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+const buy = { serviceId: "amazon", method: "POST", path: "/api/services/amazon/buy" };
+
+describe("rate limit helpers", () => {
+  it("validates the config", () => {
+    expect(resolveRateLimitConfig(undefined, {})).toBeNull();
+    expect(
+      resolveRateLimitConfig(undefined, {
+        OTTOAUTH_RATE_LIMITS: '{"services":{"Amazon":{"requests":5,"intervalMs":1000}}}',
+      }),
+    ).toEqual({
+      mode: "fail",
+      maxWaitMs: 30_000,
+      services: { amazon: { requests: 5, intervalMs: 1000 } },
+      endpoints: [],
+    });
+    expect(() => resolveRateLimitConfig({ mode: "drop" })).toThrow(/Unknown rate limit mode/);
+    expect(() => resolveRateLimitConfig({ services: { amazon: { requests: 0, intervalMs: 1 } } })).toThrow(
+      /service 'amazon'/,
+    );
+    expect(() => resolveRateLimitConfig({ endpoints: [{ requests: 1, intervalMs: 1 }] })).toThrow(/'path' glob/);
+    expect(() => resolveRateLimitConfig(undefined, { OTTOAUTH_RATE_LIMITS: "[" })).toThrow(/JSON object/);
+  });
+
+  it("refills buckets over time and reports when to retry", async () => {
+    let clock = 1_000_000;
+    const limiter = createRateLimiter(
+      resolveRateLimitConfig({
+        services: { amazon: { requests: 2, intervalMs: 60_000 } },
+        endpoints: [{ path: "**/buy", methods: ["POST"], requests: 1, intervalMs: 10_000 }],
+      }),
+      { now: () => clock },
+    );
+
+    expect(await limiter.acquire(buy)).toMatchObject({ allowed: true });
+    const limited = await limiter.acquire(buy);
+    expect(limited).toMatchObject({
+      allowed: false,
+      error: { error: "rate_limited", limit: "endpoint:POST **/buy", retryAfterMs: 10_000 },
+    });
+    expect(limited.error.retryAt).toBe(new Date(clock + 10_000).toISOString());
+
+    // Other endpoints of the service only count against the service bucket.
+    const history = { ...buy, method: "GET", path: "/api/services/amazon/history" };
+    expect(await limiter.acquire(history)).toMatchObject({ allowed: true });
+    expect(await limiter.acquire(history)).toMatchObject({
+      allowed: false,
+      error: { limit: "service:amazon", retryAfterMs: 30_000 },
+    });
+    expect(await limiter.acquire({ ...history, serviceId: "ebay" })).toMatchObject({ allowed: true });
+
+    clock += 30_000;
+    expect(await limiter.acquire(buy)).toMatchObject({ allowed: true });
+  });
+
+  it("queues calls up to maxWaitMs and stops waiting on abort", async () => {
+    const limiter = createRateLimiter(
+      resolveRateLimitConfig({
+        mode: "queue",
+        maxWaitMs: 1_000,
+        services: { amazon: { requests: 1, intervalMs: 50 } },
+        endpoints: [{ path: "**/buy", requests: 1, intervalMs: 60_000 }],
+      }),
+    );
+    const history = { ...buy, method: "GET", path: "/api/services/amazon/history" };
+
+    expect(await limiter.acquire(history)).toMatchObject({ allowed: true });
+    const queued = await limiter.acquire(history);
+    expect(queued.allowed).toBe(true);
+    expect(queued.waitedMs).toBeGreaterThanOrEqual(30);
+
+    // A wait longer than maxWaitMs fails fast instead.
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await limiter.acquire(buy)).toMatchObject({ allowed: true });
+    expect(await limiter.acquire(buy)).toMatchObject({ allowed: false, error: { error: "rate_limited" } });
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await limiter.acquire(history);
+    const controller = new AbortController();
+    const waiting = limiter.acquire(history, controller.signal);
+    controller.abort(new Error("cancelled"));
+    await expect(waiting).rejects.toThrow("cancelled");
+  });
+});
+
+describe("rate limits on the MCP server", () => {
+  it("refuses calls over the limit before they reach Ottoauth", async () => {
+    const { client, mock, close } = await connectTestServer({
+      rateLimits: { services: { amazon: { requests: 1, intervalMs: 60_000 } } },
+    });
+    try {
+      const first = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: { amount: 1 } },
+      });
+      expect(first.isError).toBe(false);
+
+      // The passthrough tool shares the service's bucket.
+      const second = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/buy", body: { amount: 1 } },
+      });
+      expect(second.isError).toBe(true);
+      expect(second.structuredContent).toMatchObject({ error: "rate_limited", limit: "service:amazon" });
+      expect(second.structuredContent.retryAfterMs).toBeGreaterThan(59_000);
+      expect(mock.requests.filter((r) => r.path === "/api/services/amazon/buy")).toHaveLength(1);
+
+      // Dry runs send nothing, so they are never limited.
+      const dry = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: { amount: 1 }, dry_run: true },
+      });
+      expect(dry.structuredContent).toMatchObject({ dryRun: true });
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { ToolListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { buildEndpointTool, diffEndpointTools } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+describe("diffEndpointTools", () => {
+  it("classifies added, removed and changed tools", () => {
+    const buy = buildEndpointTool("amazon", "POST", "/api/services/amazon/buy");
+    const history = buildEndpointTool("amazon", "POST", "/api/services/amazon/history");
+    const previous = new Map([
+      [buy.toolName, buy],
+      [history.toolName, history],
+    ]);
+    const changedBuy = { ...buy, description: "Buy things." };
+    const events = buildEndpointTool("computeruse", "POST", "/api/computeruse/runs/:run_id/events");
+
+    const diff = diffEndpointTools(previous, [changedBuy, events]);
+    expect(diff.added.map((e) => e.toolName)).toEqual([events.toolName]);
+    expect(diff.removed).toEqual([history.toolName]);
+    expect(diff.changed.map((e) => e.toolName)).toEqual([buy.toolName]);
+
+    const same = diffEndpointTools(previous, [buy, history]);
+    expect(same).toEqual({ added: [], removed: [], changed: [] });
+  });
+});
+
+describe("refreshToolsFromOttoauth", () => {
+  it("only touches changed tools and notifies once per real change", async () => {
+    const docsByServiceId = {
+      amazon: "```bash\nPOST /api/services/amazon/buy\n```\n```bash\nPOST /api/services/amazon/history\n```",
+    };
+    let notifications = 0;
+    const { app, client, close } = await connectTestServer({
+      mock: { services: [{ id: "amazon" }], docsByServiceId },
+      refresh: false,
+      setupClient: (client) =>
+        client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+          notifications += 1;
+        }),
+    });
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    try {
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(1);
+      expect(app.getSnapshot().lastRefreshDiff.added).toHaveLength(2);
+
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(1);
+      expect(app.getSnapshot().lastRefreshDiff).toEqual({ added: [], removed: [], changed: [] });
+
+      docsByServiceId.amazon =
+        "## Buy\n\nBuys an item.\n\n```bash\nPOST /api/services/amazon/buy\n```";
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(2);
+      expect(app.getSnapshot().lastRefreshDiff).toEqual({
+        added: [],
+        removed: ["ottoauth_amazon_post_services_amazon_history"],
+        changed: ["ottoauth_amazon_post_services_amazon_buy"],
+      });
+
+      const { tools } = await client.listTools();
+      const buy = tools.find((t) => t.name === "ottoauth_amazon_post_services_amazon_buy");
+      expect(buy?.description).toContain("Buys an item.");
+      expect(tools.some((t) => t.name === "ottoauth_amazon_post_services_amazon_history")).toBe(false);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import { ResourceListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { SERVICES_INDEX_URI } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe("service docs resources", () => {
+  it("exposes each service's docs and an index, refreshed with the tools", async () => {
+    const services = [{ id: "amazon", name: "Amazon", description: "Buy things." }];
+    const docsByServiceId = { amazon: "# Amazon\n\n```bash\nPOST /api/services/amazon/buy\n```" };
+    let notifications = 0;
+    const { app, client, mock, close } = await connectTestServer({
+      mock: { services, docsByServiceId },
+      refresh: false,
+      setupClient: (client) =>
+        client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+          notifications += 1;
+        }),
+    });
+
+    try {
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(1);
+
+      const { resources } = await client.listResources();
+      expect(resources.map((r) => r.uri).sort()).toEqual([
+        SERVICES_INDEX_URI,
+        "ottoauth://services/amazon/docs",
+      ]);
+      const docsResource = resources.find((r) => r.uri === "ottoauth://services/amazon/docs");
+      expect(docsResource).toMatchObject({ title: "Amazon docs", mimeType: "text/markdown" });
+      expect(docsResource?.description).toContain("Buy things.");
+
+      const docs = await client.readResource({ uri: "ottoauth://services/amazon/docs" });
+      expect(docs.contents[0]).toMatchObject({ mimeType: "text/markdown", text: docsByServiceId.amazon });
+
+      const index = JSON.parse(
+        String((await client.readResource({ uri: SERVICES_INDEX_URI })).contents[0].text),
+      );
+      expect(index.services).toEqual([
+        {
+          id: "amazon",
+          name: "Amazon",
+          description: "Buy things.",
+          docsUri: "ottoauth://services/amazon/docs",
+          docsUrl: `${mock.baseUrl}/api/services/amazon`,
+          prompt: "use_amazon_service",
+          tools: ["ottoauth_amazon_post_services_amazon_buy"],
+        },
+      ]);
+
+      // Changed text is served without re-registering (no list change).
+      docsByServiceId.amazon = "# Amazon v2\n\n```bash\nPOST /api/services/amazon/buy\n```";
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(1);
+      const updated = await client.readResource({ uri: "ottoauth://services/amazon/docs" });
+      expect(updated.contents[0].text).toContain("Amazon v2");
+
+      services.splice(0, 1, { id: "snackpass" });
+      docsByServiceId.snackpass = "```bash\nPOST /api/services/snackpass/order\n```";
+      await app.refreshToolsFromOttoauth();
+      await settle();
+      expect(notifications).toBe(2);
+      const after = await client.listResources();
+      expect(after.resources.map((r) => r.uri).sort()).toEqual([
+        SERVICES_INDEX_URI,
+        "ottoauth://services/snackpass/docs",
+      ]);
+    } finally {
+      await close();
+    }
+  });
+
+  it("hides docs for services excluded by the endpoint filter", async () => {
+    const { client, close } = await connectTestServer({ endpointFilter: { denyServices: ["computeruse"] } });
+    try {
+      const { resources } = await client.listResources();
+      expect(resources.map((r) => r.uri).sort()).toEqual([
+        SERVICES_INDEX_URI,
+        "ottoauth://services/amazon/docs",
+      ]);
+      const index = JSON.parse(
+        String((await client.readResource({ uri: SERVICES_INDEX_URI })).contents[0].text),
+      );
+      expect(index.services.map((s) => s.id)).toEqual(["amazon"]);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { createResponsePager, describeBody, formatResponse, isTextContentType } from "../../src/responses.mjs";
+import { forwardRequest } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+const meta = { ok: true, status: 200, statusText: "OK", url: "http://x/api/file" };
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+describe("response formatting", () => {
+  it("classifies content types", () => {
+    expect(isTextContentType("application/json; charset=utf-8")).toBe(true);
+    expect(isTextContentType("application/problem+json")).toBe(true);
+    expect(isTextContentType("text/csv")).toBe(true);
+    expect(isTextContentType("")).toBe(true);
+    expect(isTextContentType("image/png")).toBe(false);
+    expect(isTextContentType("application/pdf")).toBe(false);
+  });
+
+  it("reads binary bodies as base64 instead of text", async () => {
+    /** @type {typeof fetch} */
+    const fetchImpl = async () => new Response(PNG, { headers: { "content-type": "image/png" } });
+    const out = await forwardRequest({
+      baseUrl: "http://x",
+      method: "GET",
+      path: "/api/file",
+      fetchImpl,
+      httpTimeoutMs: 1_000,
+    });
+    expect(out).toMatchObject({ body: PNG.toString("base64"), bodyEncoding: "base64", bytes: PNG.length });
+  });
+
+  it("returns images as image blocks and other binaries as embedded resources", () => {
+    const data = PNG.toString("base64");
+    const image = formatResponse({ ...meta, contentType: "image/png", body: data, bodyEncoding: "base64", bytes: 10 });
+    expect(image.content[1]).toEqual({ type: "image", data, mimeType: "image/png" });
+    expect(image.structuredContent).not.toHaveProperty("body");
+    expect(image.structuredContent).toMatchObject({ bytes: 10, bodyEncoding: "base64" });
+
+    const pdf = formatResponse({ ...meta, contentType: "application/pdf", body: data, bodyEncoding: "base64" });
+    expect(pdf.content[1]).toEqual({
+      type: "resource",
+      resource: { uri: meta.url, mimeType: "application/pdf", blob: data },
+    });
+  });
+
+  it("truncates large bodies with a summary and pages through the rest", () => {
+    const pager = createResponsePager({ maxChars: 200 });
+    const items = Array.from({ length: 50 }, (_, i) => ({ id: i }));
+    const out = formatResponse({ ...meta, contentType: "application/json", body: { items, next: null } }, pager);
+    const { truncated } = out.structuredContent;
+
+    expect(out.structuredContent.body).toHaveLength(200);
+    expect(truncated.summary).toContain("JSON object with keys: items (50 items), next");
+    expect(out.content[0].text).toBe(truncated.summary);
+
+    let text = out.structuredContent.body;
+    let token = truncated.continuationToken;
+    while (token) {
+      const page = pager.read(token);
+      text += page.body;
+      token = page.continuationToken;
+    }
+    expect(JSON.parse(text)).toEqual({ items, next: null });
+    expect(pager.read("nope.0")).toBeNull();
+  });
+
+  it("leaves small responses untouched and forgets old bodies", () => {
+    const pager = createResponsePager({ maxChars: 1_000, maxEntries: 1 });
+    const small = { ...meta, contentType: "application/json", body: { ok: 1 } };
+    expect(formatResponse(small, pager).structuredContent).toEqual(small);
+
+    const first = pager.open("a".repeat(2_000));
+    pager.open("b".repeat(2_000));
+    expect(pager.read(/** @type {string} */ (first.continuationToken))).toBeNull();
+    expect(describeBody({ ...meta, contentType: "text/plain", body: "hello" })).toBe("5 characters of text/plain");
+  });
+});
+
+describe("ottoauth_read_response", () => {
+  it("continues a truncated tool result", async () => {
+    const listing = Array.from({ length: 40 }, (_, i) => ({ id: `order_${i}`, status: "delivered" }));
+    const { client, close } = await connectTestServer({
+      mock: { handlers: { "GET /api/custom/orders": () => ({ orders: listing }) } },
+      maxResponseChars: 500,
+      refresh: false,
+    });
+    try {
+      const first = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "GET", path: "/api/custom/orders" },
+      });
+      let text = first.structuredContent.body;
+      let token = first.structuredContent.truncated.continuationToken;
+      while (token) {
+        const next = await client.callTool({
+          name: "ottoauth_read_response",
+          arguments: { continuation_token: token },
+        });
+        text += next.structuredContent.body;
+        token = next.structuredContent.continuationToken;
+      }
+      expect(JSON.parse(text)).toMatchObject({ orders: listing });
+
+      const expired = await client.callTool({
+        name: "ottoauth_read_response",
+        arguments: { continuation_token: "missing.0" },
+      });
+      expect(expired.structuredContent).toMatchObject({ error: "unknown_continuation_token" });
+    } finally {
+      await close();
+    }
+  });
+});
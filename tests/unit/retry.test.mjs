@@ -0,0 +1,158 @@
+import { describe, it, expect } from "vitest";
+import {
+  backoffDelayMs,
+  isRetryableRequest,
+  isRetryableStatus,
+  parseRetryAfter,
+  resolveRetryPolicy,
+} from "../../src/retry.mjs";
+import { forwardRequest } from "../../src/server.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+const fastRetry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 50 };
+
+/**
+ * @param {Array<Response | Error>} outcomes
+ */
+function scriptedFetch(outcomes) {
+  const calls = [];
+  /** @type {typeof fetch} */
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const next = outcomes.shift();
+    if (!next) throw new Error("no scripted response left");
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetchImpl, calls };
+}
+
+/** @param {number} status @param {Record<string, string>} [headers] */
+const jsonResponse = (status, headers = {}) =>
+  new Response(JSON.stringify({ status }), {
+    status,
+    headers: { "content-type": "application/json", ...headers },
+  });
+
+describe("retry policy helpers", () => {
+  it("decides what is safe and worth retrying", () => {
+    expect(isRetryableRequest("GET", {})).toBe(true);
+    expect(isRetryableRequest("DELETE", {})).toBe(true);
+    expect(isRetryableRequest("POST", {})).toBe(false);
+    expect(isRetryableRequest("POST", { "idempotency-key": "abc" })).toBe(true);
+    expect([429, 500, 502, 503, 504, 408].every(isRetryableStatus)).toBe(true);
+    expect([400, 404, 422, 501].some(isRetryableStatus)).toBe(false);
+  });
+
+  it("parses Retry-After seconds and dates", () => {
+    expect(parseRetryAfter("2")).toBe(2000);
+    expect(parseRetryAfter("Wed, 21 Oct 2026 07:28:10 GMT", Date.parse("Wed, 21 Oct 2026 07:28:00 GMT"))).toBe(
+      10_000,
+    );
+    expect(parseRetryAfter("soon")).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+
+  it("backs off exponentially with jitter under the cap", () => {
+    const policy = { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 300 };
+    expect(backoffDelayMs(policy, 1, () => 1)).toBe(100);
+    expect(backoffDelayMs(policy, 2, () => 1)).toBe(200);
+    expect(backoffDelayMs(policy, 3, () => 1)).toBe(300);
+    expect(backoffDelayMs(policy, 3, () => 0.5)).toBe(150);
+  });
+
+  it("reads the policy from options, then env", () => {
+    expect(resolveRetryPolicy({ maxAttempts: 5 }, { OTTOAUTH_RETRY_BASE_MS: "20" })).toEqual({
+      maxAttempts: 5,
+      baseDelayMs: 20,
+      maxDelayMs: 10_000,
+    });
+    expect(resolveRetryPolicy({}, { OTTOAUTH_RETRY_MAX_ATTEMPTS: "0" }).maxAttempts).toBe(1);
+  });
+});
+
+describe("forwardRequest retries", () => {
+  const base = { baseUrl: "http://ottoauth.test", path: "/api/services/amazon/orders", httpTimeoutMs: 1_000 };
+
+  it("retries transient failures of idempotent requests and reports attempts", async () => {
+    const { fetchImpl, calls } = scriptedFetch([
+      new TypeError("fetch failed"),
+      jsonResponse(503, { "retry-after": "0" }),
+      jsonResponse(200),
+    ]);
+    const out = await forwardRequest({ ...base, method: "GET", fetchImpl, retry: fastRetry });
+
+    expect(out.status).toBe(200);
+    expect(calls).toHaveLength(3);
+    expect(out.attempts).toEqual([
+      expect.objectContaining({ attempt: 1, status: null, error: "fetch failed" }),
+      expect.objectContaining({ attempt: 2, status: 503, retryInMs: 0 }),
+      expect.objectContaining({ attempt: 3, status: 200, retryInMs: null }),
+    ]);
+  });
+
+  it("returns the last response once attempts run out", async () => {
+    const { fetchImpl } = scriptedFetch([jsonResponse(502), jsonResponse(502), jsonResponse(502)]);
+    const out = await forwardRequest({ ...base, method: "GET", fetchImpl, retry: fastRetry });
+    expect(out.ok).toBe(false);
+    expect(out.status).toBe(502);
+    expect(out.attempts).toHaveLength(3);
+  });
+
+  it("does not wait longer than the policy allows for Retry-After", async () => {
+    const { fetchImpl, calls } = scriptedFetch([jsonResponse(429, { "retry-after": "120" })]);
+    const out = await forwardRequest({ ...base, method: "GET", fetchImpl, retry: fastRetry });
+    expect(out.status).toBe(429);
+    expect(calls).toHaveLength(1);
+    expect(out.attempts).toBeUndefined();
+  });
+
+  it("only retries POST when it carries an idempotency key", async () => {
+    const plain = scriptedFetch([jsonResponse(503), jsonResponse(200)]);
+    const once = await forwardRequest({ ...base, method: "POST", fetchImpl: plain.fetchImpl, retry: fastRetry });
+    expect(once.status).toBe(503);
+    expect(plain.calls).toHaveLength(1);
+
+    const keyed = scriptedFetch([jsonResponse(503), jsonResponse(200)]);
+    const retried = await forwardRequest({
+      ...base,
+      method: "POST",
+      headers: { "Idempotency-Key": "k-1" },
+      fetchImpl: keyed.fetchImpl,
+      retry: fastRetry,
+    });
+    expect(retried.status).toBe(200);
+    expect(keyed.calls).toHaveLength(2);
+  });
+
+  it("throws with the attempt history when every attempt errors", async () => {
+    const { fetchImpl } = scriptedFetch([new TypeError("down"), new TypeError("down"), new TypeError("down")]);
+    const error = await forwardRequest({ ...base, method: "GET", fetchImpl, retry: fastRetry }).catch((e) => e);
+    expect(error.message).toMatch(/failed after 3 attempts: down/);
+    expect(error.attempts).toHaveLength(3);
+  });
+});
+
+describe("retries through the MCP server", () => {
+  it("returns the attempt history when the upstream cannot be reached", async () => {
+    const { fetchImpl, calls } = scriptedFetch([new TypeError("down"), new TypeError("down"), new TypeError("down")]);
+    const { client, close } = await connectTestServer({ baseUrl: "http://ottoauth.test", retry: fastRetry, fetchImpl });
+    try {
+      const out = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "GET", path: "/api/services/amazon/orders" },
+      });
+      expect(out.isError).toBe(true);
+      expect(out.structuredContent).toMatchObject({
+        error: "upstream_request_failed",
+        method: "GET",
+        path: "/api/services/amazon/orders",
+      });
+      expect(out.structuredContent.message).toMatch(/failed after 3 attempts: down/);
+      expect(out.structuredContent.attempts.map((a) => a.error)).toEqual(["down", "down", "down"]);
+      expect(calls).toHaveLength(3);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,156 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect } from "vitest";
+import { applyCredential, createCredentialVault, maskSecret, scrubSecret } from "../../src/vault.mjs";
+import { connectTestServer } from "../helpers.mjs";
+
+const silentLogger = { error() {} };
+const baseUrl = "http://127.0.0.1:3000";
+
+describe("credential vault", () => {
+  it("encrypts credentials at rest and reopens them with the key file", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-vault-"));
+    try {
+      const vaultPath = path.join(dir, "vault.json");
+      const vault = createCredentialVault({ path: vaultPath, logger: silentLogger });
+      await vault.save({ baseUrl, username: "agent-a", privateKey: "pk_secret_aaaa" });
+      await vault.save({ baseUrl, username: "agent-b", privateKey: "pk_secret_bbbb" });
+
+      const raw = await fs.readFile(vaultPath, "utf8");
+      expect(raw).not.toContain("pk_secret");
+      expect(raw).not.toContain("agent-a");
+      expect((await fs.stat(`${vaultPath}.key`)).mode & 0o777).toBe(0o600);
+
+      const reopened = createCredentialVault({ path: vaultPath, logger: silentLogger });
+      expect(await reopened.get(baseUrl)).toEqual({ username: "agent-b", privateKey: "pk_secret_bbbb" });
+      expect(await reopened.get(baseUrl, "agent-a")).toEqual({
+        username: "agent-a",
+        privateKey: "pk_secret_aaaa",
+      });
+      expect(await reopened.get("http://other.example")).toBeNull();
+      expect((await reopened.list(baseUrl)).map((c) => [c.username, c.privateKey, c.active])).toEqual([
+        ["agent-a", "pk_s…aaaa", false],
+        ["agent-b", "pk_s…bbbb", true],
+      ]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("derives the key from a passphrase when one is set", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-vault-"));
+    try {
+      const vaultPath = path.join(dir, "vault.json");
+      const vault = createCredentialVault({ path: vaultPath, passphrase: "hunter2", logger: silentLogger });
+      await vault.save({ baseUrl, username: "agent", privateKey: "pk_secret_1234" });
+      await expect(fs.stat(`${vaultPath}.key`)).rejects.toThrow();
+
+      const right = createCredentialVault({ path: vaultPath, passphrase: "hunter2", logger: silentLogger });
+      expect(await right.get(baseUrl)).toMatchObject({ username: "agent" });
+
+      const errors = [];
+      const wrong = createCredentialVault({
+        path: vaultPath,
+        passphrase: "nope",
+        logger: { error: (...args) => errors.push(args) },
+      });
+      expect(await wrong.get(baseUrl)).toBeNull();
+      expect(errors).toHaveLength(1);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("refuses to overwrite a vault it could not open", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ottoauthmcp-vault-"));
+    try {
+      const vaultPath = path.join(dir, "vault.json");
+      await createCredentialVault({ path: vaultPath, passphrase: "hunter2", logger: silentLogger }).save({
+        baseUrl,
+        username: "agent",
+        privateKey: "pk_secret_1234",
+      });
+      const before = await fs.readFile(vaultPath, "utf8");
+
+      const wrong = createCredentialVault({ path: vaultPath, passphrase: "nope", logger: silentLogger });
+      await expect(wrong.save({ baseUrl, username: "other", privateKey: "pk_other_5678" })).rejects.toThrow(
+        /refusing to overwrite/,
+      );
+      const keyless = createCredentialVault({ path: vaultPath, logger: silentLogger });
+      await expect(keyless.save({ baseUrl, username: "other", privateKey: "pk_other_5678" })).rejects.toThrow(
+        /no key available/,
+      );
+      await expect(fs.stat(`${vaultPath}.key`)).rejects.toThrow();
+      expect(await fs.readFile(vaultPath, "utf8")).toBe(before);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("fills in body auth without overriding explicit values", () => {
+    const credential = { username: "agent", privateKey: "pk_secret_1234" };
+    expect(maskSecret("pk_secret_1234")).toBe("pk_s…1234");
+    expect(applyCredential(undefined, credential)).toEqual({ username: "agent", private_key: "pk_secret_1234" });
+    expect(applyCredential({ limit: 5, private_key: "pk_s…1234" }, credential)).toEqual({
+      limit: 5,
+      username: "agent",
+      private_key: "pk_secret_1234",
+    });
+    expect(applyCredential({ username: "other", private_key: "k" }, credential)).toEqual({
+      username: "other",
+      private_key: "k",
+    });
+    expect(applyCredential(["x"], credential)).toEqual(["x"]);
+  });
+
+  it("scrubs a secret from response bodies at any depth", () => {
+    const echoed = {
+      echo: { private_key: "pk_secret_1234", note: "key=pk_secret_1234;" },
+      list: ["pk_secret_1234", 7],
+    };
+    expect(scrubSecret(echoed, "pk_secret_1234")).toEqual({
+      echo: { private_key: "pk_s…1234", note: "key=pk_s…1234;" },
+      list: ["pk_s…1234", 7],
+    });
+    expect(scrubSecret("nothing here", "pk_secret_1234")).toBe("nothing here");
+  });
+});
+
+describe("ottoauth_create_account with the vault", () => {
+  it("masks the key and authenticates later calls", async () => {
+    const { client, mock, close } = await connectTestServer();
+    try {
+      const created = await client.callTool({
+        name: "ottoauth_create_account",
+        arguments: { username: "agent-new" },
+      });
+      expect(created.structuredContent).toMatchObject({
+        body: { username: "agent-new", privateKey: "pk_t…_123" },
+        vault: { stored: true, username: "agent-new" },
+      });
+      expect(JSON.stringify(created.content)).not.toContain("pk_test_123");
+
+      const bought = await client.callTool({
+        name: "ottoauth_amazon_post_services_amazon_buy",
+        arguments: { body: { item_url: "x" } },
+      });
+      expect(JSON.stringify(bought)).not.toContain("pk_test_123");
+      expect(JSON.stringify(bought)).toContain("pk_t…_123");
+      expect(mock.requests.at(-1)?.body).toEqual({
+        item_url: "x",
+        username: "agent-new",
+        private_key: "pk_test_123",
+      });
+
+      const history = await client.callTool({
+        name: "ottoauth_http_request",
+        arguments: { method: "POST", path: "/api/services/amazon/history" },
+      });
+      expect(JSON.stringify(history)).not.toContain("pk_test_123");
+      expect(mock.requests.at(-1)?.body).toEqual({ username: "agent-new", private_key: "pk_test_123" });
+    } finally {
+      await close();
+    }
+  });
+});